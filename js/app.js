@@ -22,7 +22,15 @@
     roles: 'ems_roles',
     countries: 'ems_countries_cache',
     rates: 'ems_rates_cache_v1', // map by base
+    budgets: 'ems_budgets',
+    policy: 'ems_policy',
+    categories: 'ems_categories',
+    allowances: 'ems_allowances',
+    reports: 'ems_reports',
+    advances: 'ems_advances',
+    recurring: 'ems_recurring',
     seeded: 'ems_seeded_v1',
+    schema: 'ems_schema_version',
   };
 
   const ROLES = {
@@ -34,6 +42,9 @@
     CFO: 'CFO', // special approver
   };
 
+  // Step type, not a user role: the submitter's manager's manager approves
+  const SKIP_LEVEL_MANAGER = 'SKIP_LEVEL_MANAGER';
+
   // Built-in roles are fixed; custom roles can be added by Admin and are stored separately
   const BASE_ROLES = [ROLES.EMPLOYEE, ROLES.MANAGER, ROLES.FINANCE, ROLES.DIRECTOR, ROLES.ADMIN, ROLES.CFO];
 
@@ -45,27 +56,221 @@
     steps: [ROLES.MANAGER, ROLES.FINANCE, ROLES.DIRECTOR],
     percentageRule: { enabled: true, threshold: 50 },
     specificApproverRule: { enabled: true, role: ROLES.CFO },
-    hybrid: { enabled: true },
+    hybrid: { enabled: false, mode: 'OR' }, // OR: percentage or specific approver passes a step; AND: both
+    // Conditional routes, first match wins; `steps` above is the default route when none match
+    routes: [],
+    // Hours a step may wait before it is overdue, and before it escalates; per-role overrides in `steps`
+    sla: { enabled: false, dueHours: 48, escalateHours: 96, steps: {}, escalateTo: 'APPROVER_MANAGER', fallbackRole: ROLES.DIRECTOR },
+    // Expenses that would take any budget over its amount get this extra step appended to their route
+    budgetRule: { enabled: false, role: ROLES.DIRECTOR },
+  };
+
+  // Ids of the built-in categories equal their original names, which is what older expenses store in `category`
+  const DEFAULT_CATEGORIES = [
+    { id: 'Travel', name: 'Travel', glCode: '6100', taxRate: null, icon: 'fa-plane', archived: false },
+    { id: 'Meals', name: 'Meals', glCode: '6200', taxRate: null, icon: 'fa-utensils', archived: false },
+    { id: 'Supplies', name: 'Supplies', glCode: '6300', taxRate: null, icon: 'fa-box', archived: false },
+    { id: 'Software', name: 'Software', glCode: '6400', taxRate: null, icon: 'fa-laptop-code', archived: false },
+    { id: 'Other', name: 'Other', glCode: '6900', taxRate: null, icon: 'fa-receipt', archived: false },
+  ];
+
+  // Mileage and per-diem claims have their amount computed from these rates (company currency)
+  const EXPENSE_TYPES = { STANDARD: 'STANDARD', MILEAGE: 'MILEAGE', PER_DIEM: 'PER_DIEM' };
+  const DEFAULT_ALLOWANCES = {
+    mileage: { unit: 'km', vehicles: [{ id: 'CAR', name: 'Car', rate: 0.3 }, { id: 'MOTORCYCLE', name: 'Motorcycle', rate: 0.2 }, { id: 'BICYCLE', name: 'Bicycle', rate: 0.1 }] },
+    perDiem: { defaultRate: 50, countries: {} }, // country name -> daily rate
   };
 
-  const CATEGORIES = ['Travel', 'Meals', 'Supplies', 'Software', 'Other'];
+  const CATEGORY_ICONS = ['fa-plane', 'fa-utensils', 'fa-box', 'fa-laptop-code', 'fa-receipt', 'fa-car', 'fa-hotel', 'fa-gas-pump', 'fa-phone', 'fa-graduation-cap', 'fa-gift', 'fa-briefcase', 'fa-bus', 'fa-book'];
+
+  // Company expense policy; each check either WARNs (the flag travels with the expense) or BLOCKs submission.
+  // Amounts are in company currency.
+  const DEFAULT_POLICY = {
+    categoryLimit: { enabled: true, action: 'WARN', limits: { Meals: 50 } }, // per person per day
+    receiptAge: { enabled: true, action: 'BLOCK', days: 90 },
+    receiptRequired: { enabled: true, action: 'WARN', above: 75 },
+    futureDate: { enabled: true, action: 'BLOCK' },
+    weekend: { enabled: false, action: 'WARN' },
+  };
 
   // ==========================
-  // Utilities
+  // Storage
   // ==========================
+  // Adapters persist KEYS values asynchronously. Storage.init() loads every store into memory once, so get() stays
+  // synchronous and hands out the shared value: change a store by set()ting it. What get() returned may only be
+  // edited in the same synchronous step as that set(); code that awaits in between, or may still refuse the change,
+  // works on a copy (structuredClone) and reads the store again before writing.
+  // Writes reach the adapter in the background, in order; flush() resolves once they have landed.
+  const STORAGE_DB = 'ems_data';
+  // Large lists kept one record per row (by id) in IndexedDB, so saving one expense does not rewrite all of them
+  const SPLIT_STORES = { [KEYS.expenses]: 'expenses', [KEYS.reports]: 'reports' };
+
+  const LocalStorageAdapter = {
+    name: 'localStorage',
+    async open() { localStorage.getItem(KEYS.session); }, // throws where storage is blocked
+    async loadAll(keys) {
+      const out = {};
+      keys.forEach(key => {
+        try { const raw = localStorage.getItem(key); if (raw) out[key] = JSON.parse(raw); } catch { /* unreadable; treated as missing */ }
+      });
+      return out;
+    },
+    async save(key, val) { localStorage.setItem(key, JSON.stringify(val)); },
+    async remove(key) { localStorage.removeItem(key); },
+  };
+
+  const IndexedDbAdapter = {
+    name: 'IndexedDB',
+    _db: null,
+    _saved: {}, // split store key -> Map(id -> JSON) of what IndexedDB holds, to write only records that changed
+    open() {
+      this._db ||= new Promise((resolve, reject) => {
+        const req = indexedDB.open(STORAGE_DB, 1);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore('kv');
+          Object.values(SPLIT_STORES).forEach(name => req.result.createObjectStore(name, { keyPath: 'id' }));
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      return this._db;
+    },
+    _tx(stores, mode, fn) {
+      return this.open().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(stores, mode);
+        const result = fn(tx);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+      }));
+    },
+    // A split store keeps its records in their own object store and its order (ids) under its key in `kv`
+    async loadAll(keys) {
+      const out = {}, rows = {};
+      await this._tx(['kv', ...Object.values(SPLIT_STORES)], 'readonly', tx => {
+        keys.forEach(key => {
+          const req = tx.objectStore('kv').get(key);
+          req.onsuccess = () => { if (req.result !== undefined) out[key] = req.result; };
+          if (SPLIT_STORES[key]) {
+            const all = tx.objectStore(SPLIT_STORES[key]).getAll();
+            all.onsuccess = () => { rows[key] = new Map(all.result.map(r => [r.id, r])); };
+          }
+        });
+      });
+      Object.keys(rows).forEach(key => {
+        if (!Array.isArray(out[key])) return;
+        out[key] = out[key].map(id => rows[key].get(id)).filter(Boolean);
+        this._saved[key] = new Map(out[key].map(r => [r.id, JSON.stringify(r)]));
+      });
+      return out;
+    },
+    async save(key, val) {
+      const store = SPLIT_STORES[key];
+      if (!store || !Array.isArray(val)) return this._tx(['kv'], 'readwrite', tx => { tx.objectStore('kv').put(val, key); });
+      const prev = this._saved[key] || new Map(), next = new Map(val.map(r => [r.id, JSON.stringify(r)]));
+      await this._tx(['kv', store], 'readwrite', tx => {
+        val.forEach(r => { if (prev.get(r.id) !== next.get(r.id)) tx.objectStore(store).put(r); });
+        prev.forEach((_, id) => { if (!next.has(id)) tx.objectStore(store).delete(id); });
+        tx.objectStore('kv').put(val.map(r => r.id), key);
+      });
+      this._saved[key] = next;
+    },
+    async remove(key) {
+      const store = SPLIT_STORES[key];
+      await this._tx(store ? ['kv', store] : ['kv'], 'readwrite', tx => {
+        tx.objectStore('kv').delete(key);
+        if (store) tx.objectStore(store).clear();
+      });
+      delete this._saved[key];
+    },
+  };
+
   const Storage = {
-    get(key, fallback) {
-      try { const raw = localStorage.getItem(key); return raw ? JSON.parse(raw) : (fallback ?? null); } catch { return fallback ?? null; }
+    adapter: null,
+    _cache: {},
+    _indexes: {},
+    _dirty: new Set(),
+    _writes: Promise.resolve(),
+    async init() {
+      try { await IndexedDbAdapter.open(); this.adapter = IndexedDbAdapter; } catch { this.adapter = LocalStorageAdapter; }
+      const keys = Object.values(KEYS);
+      this._cache = await this.adapter.loadAll(keys);
+      this._watch();
+      if (this.adapter === LocalStorageAdapter || Object.keys(this._cache).length) return;
+      // First start on IndexedDB: move over what earlier versions kept in localStorage, then free that quota
+      const legacy = await LocalStorageAdapter.loadAll(keys);
+      if (!Object.keys(legacy).length) return;
+      for (const [key, val] of Object.entries(legacy)) await this.adapter.save(key, val);
+      this._cache = legacy;
+      Object.keys(legacy).forEach(key => LocalStorageAdapter.remove(key));
+    },
+    // Other tabs' writes replace the cached copy: localStorage raises `storage` events, IndexedDB writers post on a channel
+    _watch() {
+      const reload = async (key) => {
+        if (!Object.values(KEYS).includes(key)) return;
+        const fresh = await this.adapter.loadAll([key]);
+        if (key in fresh) this._cache[key] = fresh[key]; else delete this._cache[key];
+        delete this._indexes[key];
+      };
+      if (this.adapter === LocalStorageAdapter) window.addEventListener('storage', e => { if (e.key) reload(e.key); });
+      else if (typeof BroadcastChannel === 'function') { this._channel = new BroadcastChannel(STORAGE_DB); this._channel.onmessage = e => reload(e.data); }
+    },
+    get(key, fallback) { return this._cache[key] ?? fallback ?? null; },
+    set(key, val) { this._cache[key] = val; this._changed(key); },
+    remove(key) { delete this._cache[key]; this._changed(key); },
+    flush() { return this._writes; },
+    _changed(key) {
+      delete this._indexes[key];
+      if (!this._dirty.size) this._writes = this._writes.then(() => this._write());
+      this._dirty.add(key);
+    },
+    // Several set()s of one store in a row cost one write
+    async _write() {
+      const keys = [...this._dirty];
+      this._dirty.clear();
+      for (const key of keys) {
+        try {
+          if (key in this._cache) await this.adapter.save(key, this._cache[key]); else await this.adapter.remove(key);
+          this._channel?.postMessage(key);
+        } catch (err) { toast(`Could not save your changes (${err.message || err.name})`, 'error', 6000); }
+      }
+    },
+    _index(key, name, build) {
+      const indexes = this._indexes[key] ||= {};
+      return indexes[name] ||= build(this.get(key, []));
+    },
+    // Records of a list store whose `field` equals `value`, in store order. Indexes are built on first use and
+    // dropped when the store is set.
+    where(key, field, value) {
+      const index = this._index(key, field, list => list.reduce((m, r) => (m.has(r[field]) ? m.get(r[field]).push(r) : m.set(r[field], [r]), m), new Map()));
+      return (index.get(value) || []).slice();
+    },
+    // Records whose date `field` falls in [from, to), oldest first
+    between(key, field, from, to) {
+      const index = this._index(key, `${field}:range`, list => list.map(r => [Date.parse(r[field]), r]).filter(([t]) => !Number.isNaN(t)).sort((a, b) => a[0] - b[0]));
+      const lo = +from, hi = +to;
+      let i = 0, j = index.length;
+      while (i < j) { const mid = (i + j) >> 1; if (index[mid][0] < lo) i = mid + 1; else j = mid; }
+      const out = [];
+      for (; i < index.length && index[i][0] < hi; i++) out.push(index[i][1]);
+      return out;
     },
-    set(key, val) { localStorage.setItem(key, JSON.stringify(val)); },
-    remove(key) { localStorage.removeItem(key); }
   };
 
+  // ==========================
+  // Utilities
+  // ==========================
+
   const uuid = () => (crypto?.randomUUID ? crypto.randomUUID() : 'id-' + Math.random().toString(36).slice(2) + Date.now());
   const nowIso = () => new Date().toISOString();
   const fmtDate = (iso) => new Date(iso).toLocaleDateString();
   const fmtDateTime = (iso) => new Date(iso).toLocaleString();
+  // Calendar date in the user's time zone (YYYY-MM-DD), matching what <input type="date"> shows
+  const localDateStr = (d = new Date()) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  const todayStr = () => localDateStr();
   const clamp = (n, min, max) => Math.min(Math.max(n, min), max);
+  // For user-supplied text (file names, OCR output) placed into innerHTML, attributes included
+  const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
 
   function moneyFmt(amount, ccy) {
     try { return new Intl.NumberFormat(undefined, { style: 'currency', currency: ccy }).format(amount); } catch { return `${ccy} ${(+amount).toFixed(2)}`; }
@@ -137,27 +342,40 @@
   }
 
   async function getRates(base) {
-    const map = Storage.get(KEYS.rates, {});
-    const entry = map[base];
+    const entry = Storage.get(KEYS.rates, {})[base];
     if (entry && (Date.now() - entry.ts) < 12 * 3600 * 1000) { return entry.rates; }
     try {
       const url = `https://api.exchangerate-api.com/v4/latest/${encodeURIComponent(base)}`;
       const res = await fetch(url);
       const json = await res.json();
       if (json && json.rates) {
-        map[base] = { ts: Date.now(), rates: json.rates };
-        Storage.set(KEYS.rates, map);
+        Storage.set(KEYS.rates, { ...Storage.get(KEYS.rates, {}), [base]: { ts: Date.now(), rates: json.rates } });
         return json.rates;
       }
     } catch (e) { /* ignore */ }
     return null;
   }
 
-  async function convert(amount, from, to) {
-    if (from === to) return amount;
+  // The rate from `from` to `to`; null when no rate is available
+  async function conversionRate(from, to) {
+    if (from === to) return 1;
     const rates = await getRates(from);
-    if (!rates || !rates[to]) return amount; // fallback
-    return amount * rates[to];
+    return rates?.[to] || null;
+  }
+
+  // Estimates (budgets, limits, analytics) fall back to 1:1 when offline
+  async function convert(amount, from, to) {
+    return amount * ((await conversionRate(from, to)) ?? 1);
+  }
+
+  // Rate per currency of `expenses` for amounts that are booked (exports, journal, payments), not estimated.
+  // A missing rate refuses the action (`what`, e.g. 'export') instead of defaulting to 1:1.
+  async function bookingRates(expenses, to, what) {
+    const rates = new Map();
+    for (const from of new Set(expenses.map(e => e.currency))) rates.set(from, await conversionRate(from, to || from));
+    const missing = [...rates].filter(([, rate]) => rate === null).map(([from]) => from);
+    if (missing.length) throw new Error(`No exchange rate from ${missing.join(', ')} to ${to}; go online to fetch rates and ${what} again`);
+    return rates;
   }
 
   // ==========================
@@ -169,12 +387,45 @@
   function getUsers() { return Storage.get(KEYS.users, []); }
   function setUsers(u) { Storage.set(KEYS.users, u); }
 
+  // Order is the admin-defined display order; archived categories stay resolvable for existing expenses
+  function getCategories() { return Storage.get(KEYS.categories, DEFAULT_CATEGORIES); }
+  function setCategories(c) { Storage.set(KEYS.categories, c); }
+  const activeCategories = () => getCategories().filter(c => !c.archived);
+  const categoryById = (id) => getCategories().find(c => c.id === id) || null;
+  const categoryLabel = (id) => categoryById(id)?.name || id || '-';
+
+  function categoryCell(id) {
+    const c = categoryById(id);
+    return c ? `<i class="fa-solid ${c.icon || 'fa-receipt'} muted"></i> ${escapeHtml(c.name)}${c.archived ? ' <span class="muted small">(archived)</span>' : ''}` : (id || '-');
+  }
+
+  // Active categories, plus `keep` (e.g. the archived category an expense already uses) so it stays selectable
+  function categoryOptions(selected, { keep = [], all = false } = {}) {
+    const keepIds = [].concat(keep, selected || []).filter(Boolean);
+    return getCategories().filter(c => all || !c.archived || keepIds.includes(c.id))
+      .map(c => `<option value="${c.id}" ${c.id === selected ? 'selected' : ''}>${escapeHtml(c.name)}${c.archived ? ' (archived)' : ''}</option>`).join('');
+  }
+
+  function getAllowances() {
+    const stored = Storage.get(KEYS.allowances, {});
+    return { mileage: { ...DEFAULT_ALLOWANCES.mileage, ...(stored.mileage || {}) }, perDiem: { ...DEFAULT_ALLOWANCES.perDiem, ...(stored.perDiem || {}) } };
+  }
+  function setAllowances(a) { Storage.set(KEYS.allowances, a); }
+
   function getRules() { return Storage.get(KEYS.rules, DEFAULT_RULES); }
+  // Rules saved before OR/AND modes existed have `enabled` but no `mode`; that checkbox never had an effect,
+  // so those installs keep the independent behaviour until an admin picks a mode in the Rules view
+  const hybridModeOf = (rules) => rules.hybrid?.enabled && rules.hybrid.mode ? (rules.hybrid.mode === 'AND' ? 'AND' : 'OR') : null;
   function setRules(r) { Storage.set(KEYS.rules, r); }
 
   function getExpenses() { return Storage.get(KEYS.expenses, []); }
+  const expensesOf = (userId) => Storage.where(KEYS.expenses, 'userId', userId);
+  const expensesIn = (status) => Storage.where(KEYS.expenses, 'status', status);
   function setExpenses(e) { Storage.set(KEYS.expenses, e); }
 
+  function getReports() { return Storage.get(KEYS.reports, []); }
+  function setReports(r) { Storage.set(KEYS.reports, r); }
+
   function getSession() { return Storage.get(KEYS.session); }
   function setSession(s) { Storage.set(KEYS.session, s); }
   function clearSession() { Storage.remove(KEYS.session); }
@@ -182,6 +433,122 @@
   function roleList(u) { return (u?.roles || []).slice(); }
   function hasRole(u, role) { return !!roleList(u).includes(role); }
 
+  // ==========================
+  // Reporting Hierarchy
+  // ==========================
+  // managerId links form a tree. Walks carry a visited set so stored data that already contains a
+  // cycle cannot hang the UI; new cycles are refused at save time (wouldCreateCycle).
+  function managerChain(userId, users = getUsers()) {
+    const chain = []; const seen = new Set([userId]);
+    let cur = users.find(u => u.id === userId);
+    while (cur?.managerId && !seen.has(cur.managerId)) {
+      seen.add(cur.managerId);
+      cur = users.find(u => u.id === cur.managerId);
+      if (!cur) break;
+      chain.push(cur);
+    }
+    return chain;
+  }
+
+  // All direct and indirect reports of userId
+  function reportIds(userId, users = getUsers()) {
+    const out = []; const seen = new Set([userId]); const queue = [userId];
+    while (queue.length) {
+      const id = queue.shift();
+      for (const u of users) {
+        if (u.managerId === id && !seen.has(u.id)) { seen.add(u.id); out.push(u.id); queue.push(u.id); }
+      }
+    }
+    return out;
+  }
+
+  function wouldCreateCycle(userId, managerId, users = getUsers()) {
+    if (!managerId) return false;
+    return managerId === userId || reportIds(userId, users).includes(managerId);
+  }
+
+  // Each cycle already present in stored data, as a list of user ids
+  function findManagerCycles(users = getUsers()) {
+    const cycles = []; const done = new Set();
+    for (const start of users) {
+      const path = []; let cur = start;
+      while (cur && !done.has(cur.id) && !path.includes(cur.id)) { path.push(cur.id); cur = users.find(u => u.id === cur.managerId); }
+      if (cur && path.includes(cur.id)) cycles.push(path.slice(path.indexOf(cur.id)));
+      path.forEach(id => done.add(id));
+    }
+    return cycles;
+  }
+
+  // Creates or updates a user in `list` (the caller saves it); shared by the user modal and the CSV import
+  async function upsertUser({ id, name, email, roles, managerId = '', password = '' }, list) {
+    if (!name) throw new Error('Name is required');
+    if (!/^[^\s@]+@[^\s@]+$/.test(email || '')) throw new Error('Enter a valid email');
+    if (list.some(u => u.id !== id && u.email.toLowerCase() === email.toLowerCase())) throw new Error(`${email} is already in use`);
+    const unknown = roles.filter(r => !getAllRoles().includes(r));
+    if (unknown.length) throw new Error(`Unknown role: ${unknown.join(', ')}`);
+    if (managerId && !list.some(u => u.id === managerId)) throw new Error('Unknown manager');
+    if (id && wouldCreateCycle(id, managerId, list)) throw new Error('That manager reports to this user; it would create a reporting cycle');
+    if (id) {
+      const u = list.find(x => x.id === id);
+      u.name = name; u.email = email; u.roles = roles; u.managerId = managerId;
+      if (password) u.passwordHash = await hashText(password);
+      return u;
+    }
+    const user = { id: uuid(), name, email, roles, managerId, passwordHash: await hashText(password || 'changeme'), createdAt: nowIso() };
+    list.push(user);
+    return user;
+  }
+
+  // ==========================
+  // Delegation (out of office)
+  // ==========================
+  // user.delegation = { delegateId, from, to } with inclusive YYYY-MM-DD dates. Only one hop is ever
+  // honoured, and setDelegation refuses windows that would form a chain or loop.
+  const windowsOverlap = (a, b) => a.from <= b.to && b.from <= a.to;
+
+  function isDelegationActive(u, day = todayStr()) {
+    const d = u?.delegation;
+    return !!(d?.delegateId && d.from <= day && day <= d.to);
+  }
+
+  function activeDelegators(user, day = todayStr()) {
+    if (!user) return [];
+    return getUsers().filter(u => u.id !== user.id && isDelegationActive(u, day) && u.delegation.delegateId === user.id);
+  }
+
+  function validateDelegation(userId, delegation) {
+    const users = getUsers();
+    const { delegateId, from, to } = delegation;
+    const delegate = users.find(u => u.id === delegateId);
+    if (!delegate) return 'Choose a delegate';
+    if (delegateId === userId) return 'You cannot delegate to yourself';
+    if (!from || !to || from > to) return 'The end date must be on or after the start date';
+    // Delegate is away too during the window: would forward (chain) or bounce back (loop)
+    if (delegate.delegation?.delegateId && windowsOverlap(delegation, delegate.delegation)) {
+      return delegate.delegation.delegateId === userId
+        ? `${delegate.name} is already delegating to you in that period`
+        : `${delegate.name} is away in that period and delegates to someone else`;
+    }
+    // Someone already relies on this user in that window: delegating onward would chain
+    const upstream = users.find(u => u.id !== userId && u.delegation?.delegateId === userId && windowsOverlap(delegation, u.delegation));
+    if (upstream) return `${upstream.name} delegates to you in that period; delegations cannot be chained`;
+    return null;
+  }
+
+  function setDelegation(userId, delegation) {
+    const users = getUsers();
+    const u = users.find(x => x.id === userId);
+    if (!u) throw new Error('User not found');
+    if (delegation) {
+      const err = validateDelegation(userId, delegation);
+      if (err) throw new Error(err);
+      u.delegation = { delegateId: delegation.delegateId, from: delegation.from, to: delegation.to };
+    } else {
+      delete u.delegation;
+    }
+    setUsers(users);
+  }
+
   // ==========================
   // Seed Sample Data (first run)
   // ==========================
@@ -261,24 +628,103 @@
   function getCurrentStep(expense) {
     const steps = expense?.approvals?.steps || getRules().steps || [];
     const idx = expense?.approvals?.stepIndex ?? 0;
-    const role = steps[idx] || null;
+    const step = steps[idx];
+    // Expense steps are { role, approvals }; rules steps are plain role names
+    const role = step == null ? null : (typeof step === 'string' ? step : step.role);
     return { idx, role };
   }
 
-  function isUserApproverFor(expense, user) {
-    const { role } = getCurrentStep(expense);
-    if (!role) return false;
-    // MANAGER: only the employee's manager can approve
+  // Can `user` act on a step of `role` for this expense by virtue of their own roles (admins excluded)?
+  function canActOnStep(expense, user, role) {
     if (role === ROLES.MANAGER) {
       const emp = getUsers().find(u => u.id === expense.userId);
-      return emp?.managerId && user.id === emp.managerId;
+      return !!emp?.managerId && user.id === emp.managerId;
+    }
+    if (role === SKIP_LEVEL_MANAGER) {
+      const skip = managerChain(expense.userId)[1];
+      return !!skip && user.id === skip.id;
     }
-    // FINANCE/DIRECTOR: any user with that role (or ADMIN for override view)
-    return hasRole(user, role) || hasRole(user, ROLES.ADMIN);
+    return hasRole(user, role);
+  }
+
+  // A delegate's decision fills the seat of the approver they stand in for
+  const seatOf = (a) => a.onBehalfOf || a.userId;
+
+  // REQUEST_CHANGES entries pause a step but are not votes; the same approver decides again after the update
+  const hasVoted = (step, userId) => (step?.approvals || []).some(a => seatOf(a) === userId && (a.decision === 'APPROVE' || a.decision === 'REJECT'));
+
+  // Everyone who may decide on a step of `role`; submitters never approve their own expense
+  function eligibleApproverIds(expense, role) {
+    return getUsers().filter(u => u.id !== expense.userId && canActOnStep(expense, u, role)).map(u => u.id);
+  }
+
+  // Snapshot the pool when a step becomes active so later role changes don't move the quorum
+  function activateStep(expense, idx) {
+    const step = expense.approvals.steps[idx]; if (!step) return;
+    step.eligible = eligibleApproverIds(expense, step.role);
+    step.activatedAt = nowIso();
+  }
+
+  // Steps created before snapshots existed fall back to the live pool. Votes from outside the pool (admins,
+  // escalation approvers) count as approvals but never grow the denominator.
+  function stepPool(expense, step) {
+    return step.eligible || eligibleApproverIds(expense, step.role);
+  }
+
+  function stepProgress(expense, step = approverEntry(expense)) {
+    if (!step) return null;
+    const pool = stepPool(expense, step);
+    const approvals = step.approvals || [];
+    const approved = approvals.filter(a => a.decision === 'APPROVE').length;
+    const rejected = approvals.filter(a => a.decision === 'REJECT').length;
+    const rules = getRules();
+    const needed = rules.percentageRule?.enabled ? Math.max(1, Math.ceil(pool.length * clamp(rules.percentageRule.threshold || 50, 1, 100) / 100)) : 1;
+    return { approved, rejected, total: pool.length, needed };
+  }
+
+  function progressLabel(p) {
+    if (!p) return '';
+    if (!p.total) return 'no eligible approvers';
+    return `${p.approved} of ${p.total} approved` + (p.needed > 1 ? ` (needs ${p.needed})` : '');
+  }
+
+  // Can `user` decide on the current step in their own right? `adminFallback` lets admins act on non-manager
+  // steps outside the pool (the override view); it is never lent to a delegate.
+  function holdsApproverSeat(expense, user, { adminFallback = true } = {}) {
+    const { role } = getCurrentStep(expense);
+    if (!role) return false;
+    const step = expense.approvals?.steps?.[expense.approvals.stepIndex ?? 0];
+    if (step && typeof step === 'object' && hasVoted(step, user.id)) return false; // one vote per step
+    // MANAGER: only the employee's manager can approve; other roles: the snapshotted pool
+    const inPool = step && typeof step === 'object' ? stepPool(expense, step).includes(user.id) : canActOnStep(expense, user, role);
+    if ((step?.escalatedTo || []).includes(user.id) && user.id !== expense.userId) return true;
+    if (role === ROLES.MANAGER || role === SKIP_LEVEL_MANAGER) return inPool;
+    return inPool || (adminFallback && hasRole(user, ROLES.ADMIN));
+  }
+
+  // Whose seat `user` would decide in: their own, or that of someone currently delegating to them.
+  // Returns { onBehalfOf } (null for their own seat) or null when they cannot act.
+  function approverCapacity(expense, user) {
+    if (!user) return null;
+    if (holdsApproverSeat(expense, user)) return { onBehalfOf: null };
+    if (expense.userId === user.id) return null; // a delegate never approves their own expense
+    const delegator = activeDelegators(user).find(d => holdsApproverSeat(expense, d, { adminFallback: false }));
+    return delegator ? { onBehalfOf: delegator.id } : null;
   }
 
-  function recordHistory(expense, status, by) {
-    (expense.history ||= []).push({ at: nowIso(), status, by });
+  function isUserApproverFor(expense, user) { return !!approverCapacity(expense, user); }
+
+  // `rule` names what decided the change (percentage, specific-approver, hybrid-or, ...) and `note` explains it
+  function recordHistory(expense, status, by, rule, note, extra) {
+    const entry = { at: nowIso(), status, by, ...(extra || {}) };
+    if (rule) entry.rule = rule;
+    if (note) entry.note = note;
+    (expense.history ||= []).push(entry);
+  }
+
+  function lastRuleNote(expense) {
+    const h = (expense.history || []).slice().reverse().find(x => x.note);
+    return h ? h.note : '';
   }
 
   function approverEntry(expense) {
@@ -288,58 +734,123 @@
     return step;
   }
 
+  function concludeExpense(expense, status, by, rule, note) {
+    expense.status = status;
+    // Conclude using the expense's own steps length to avoid mismatch if rules changed later
+    expense.approvals.stepIndex = expense.approvals.steps.length;
+    recordHistory(expense, status, by, rule, note);
+  }
+
   function rulesEval(expense) {
     const rules = getRules();
     const step = approverEntry(expense);
     if (!step) return; // already finished
+    const users = getUsers();
+    const userById = (id) => users.find(x => x.id === id);
+    const stepNo = expense.approvals.stepIndex + 1;
+    const stepLabel = `Step ${stepNo} (${step.role})`;
 
-    // CFO override
-    if (rules.specificApproverRule?.enabled) {
+    const specificRole = rules.specificApproverRule?.enabled ? rules.specificApproverRule.role : null;
+    const hybridMode = hybridModeOf(rules);
+    const signedBySpecific = (list) => list.find(a => a.decision === 'APPROVE' && hasRole(userById(seatOf(a)), specificRole));
+
+    // Without the hybrid rule the two rules are independent: the specific approver concludes the whole expense
+    if (specificRole && !hybridMode) {
       for (const s of expense.approvals.steps) {
-        for (const a of s.approvals) {
-          const u = getUsers().find(x => x.id === a.userId);
-          if (a.decision === 'APPROVE' && u && hasRole(u, rules.specificApproverRule.role)) {
-            expense.status = 'APPROVED';
-            // Conclude using the expense's own steps length to avoid mismatch if rules changed later
-            expense.approvals.stepIndex = expense.approvals.steps.length;
-            recordHistory(expense, 'APPROVED', u.id);
-            return;
-          }
+        const a = signedBySpecific(s.approvals || []);
+        if (a) {
+          concludeExpense(expense, 'APPROVED', a.userId, 'specific-approver', `Approved by specific approver (${specificRole}) override`);
+          return;
         }
       }
     }
 
-    // Percentage rule for current step
+    // An escalation target decides the step on their own; they are not part of the quorum pool
+    const escalated = (step.approvals || []).find(a => (step.escalatedTo || []).includes(seatOf(a)) && (a.decision === 'APPROVE' || a.decision === 'REJECT'));
+    if (escalated) {
+      if (escalated.decision === 'REJECT') {
+        expense.status = 'REJECTED';
+        recordHistory(expense, 'REJECTED', escalated.userId, 'escalation', `${stepLabel} rejected by escalation approver`);
+        return;
+      }
+      const next = expense.approvals.stepIndex + 1;
+      if (next >= expense.approvals.steps.length) {
+        concludeExpense(expense, 'APPROVED', escalated.userId, 'escalation', `${stepLabel} approved by escalation approver; final step`);
+      } else {
+        expense.approvals.stepIndex = next;
+        activateStep(expense, next);
+        recordHistory(expense, 'PENDING', escalated.userId, 'escalation', `${stepLabel} approved by escalation approver`);
+      }
+      return;
+    }
+
+    // Percentage rule for current step, measured against the step's eligible pool (quorum)
     const approvals = step.approvals || [];
-    const total = approvals.length;
+    const pool = stepPool(expense, step);
     const approved = approvals.filter(a => a.decision === 'APPROVE').length;
     const rejected = approvals.filter(a => a.decision === 'REJECT').length;
+    const undecided = pool.filter(id => !hasVoted(step, id)).length;
+    const lastRejecter = () => approvals.filter(a => a.decision === 'REJECT').pop()?.userId || '';
+    const threshold = clamp(rules.percentageRule?.threshold || 50, 1, 100);
+    const quorum = !!rules.percentageRule?.enabled && pool.length > 0;
 
-    if (rejected > 0) {
-      expense.status = 'REJECTED';
-      recordHistory(expense, 'REJECTED', approvals[approvals.length - 1]?.userId || '');
-      return;
+    let pctPass = false, pctPossible = true, pctNote = '';
+    if (quorum) {
+      const pct = (approved / pool.length) * 100;
+      pctPass = pct >= threshold;
+      pctPossible = ((approved + undecided) / pool.length) * 100 >= threshold;
+      pctNote = `${approved} of ${pool.length} approved = ${Math.round(pct)}% (threshold ${threshold}%)`;
+    } else {
+      // default: first decision wins; any rejection ends the expense
+      if (rejected > 0) {
+        expense.status = 'REJECTED';
+        recordHistory(expense, 'REJECTED', lastRejecter(), 'rejection', `${stepLabel} rejected`);
+        return;
+      }
+      pctPass = approved > 0;
+      pctNote = `${approved} approval(s)`;
     }
 
-    let pass = false;
-    if (rules.percentageRule?.enabled && total > 0) {
-      const pct = (approved / total) * 100;
-      pass = pct >= clamp(rules.percentageRule.threshold || 50, 1, 100);
-    } else {
-      // default: at least one approval moves forward
-      pass = approved > 0;
+    let pass = pctPass, canStillPass = pctPossible;
+    let rule = quorum ? 'percentage' : 'first-approval', note = `${stepLabel} passed: ${pctNote}`;
+    if (specificRole && hybridMode) {
+      const specific = signedBySpecific(approvals);
+      const specificPending = pool.some(id => hasRole(userById(id), specificRole) && !hasVoted(step, id));
+      if (hybridMode === 'OR') {
+        pass = pctPass || !!specific;
+        canStillPass = pctPossible || !!specific || specificPending;
+        rule = 'hybrid-or';
+        note = pctPass ? `${stepLabel} passed (hybrid OR): ${pctNote}` : `${stepLabel} passed (hybrid OR): approved by specific approver (${specificRole})`;
+      } else {
+        // AND only binds on steps the specific approver can act on; elsewhere the percentage decides alone
+        const specificCanAct = pool.some(id => hasRole(userById(id), specificRole));
+        pass = pctPass && (!!specific || !specificCanAct);
+        canStillPass = pctPossible && (!!specific || specificPending || !specificCanAct);
+        rule = 'hybrid-and';
+        note = specificCanAct
+          ? `${stepLabel} passed (hybrid AND): ${pctNote} and approved by specific approver (${specificRole})`
+          : `${stepLabel} passed (hybrid AND): ${pctNote}; no ${specificRole} can act on this step`;
+      }
+    }
+
+    // The step stays open until it passes or can no longer pass
+    if (quorum && !pass && !canStillPass) {
+      expense.status = 'REJECTED';
+      recordHistory(expense, 'REJECTED', lastRejecter(), rule, `${stepLabel} rejected: cannot pass any more (${approved} approved, ${rejected} rejected of ${pool.length}; threshold ${threshold}%)`);
+      return;
     }
 
     if (pass) {
+      const by = approvals.filter(a => a.decision === 'APPROVE').pop()?.userId || '';
       // advance step
       const next = expense.approvals.stepIndex + 1;
       // Use the expense's approvals steps length to determine completion
       if (next >= expense.approvals.steps.length) {
-        expense.status = 'APPROVED';
-        recordHistory(expense, 'APPROVED', approvals[approvals.length - 1]?.userId || '');
+        concludeExpense(expense, 'APPROVED', by, rule, `${note}; final step`);
       } else {
         expense.approvals.stepIndex = next;
-        // keep pending
+        activateStep(expense, next);
+        recordHistory(expense, 'PENDING', by, rule, note);
       }
     }
   }
@@ -349,220 +860,2527 @@
     const expense = expenses.find(e => e.id === expenseId);
     if (!expense) throw new Error('Expense not found');
     if (expense.status !== 'PENDING') throw new Error('Expense is not pending');
+    applyDecision(expense, userId, decision, comment);
+    setExpenses(expenses);
+    return expense.status;
+  }
+
+  // Each item goes through approveOrReject on its own, so one that stopped being pending does not stop the rest
+  function bulkApproveOrReject(expenseIds, userId, decision, comment) {
+    const done = [], failed = [];
+    expenseIds.forEach(id => {
+      try { done.push({ id, status: approveOrReject(id, userId, decision, comment) }); } catch (err) { failed.push({ id, error: err.message }); }
+    });
+    return { done, failed };
+  }
 
+  // Records one approver's decision on an expense or expense report (same approvals shape) and evaluates the step
+  function applyDecision(expense, userId, decision, comment) {
     const step = approverEntry(expense);
     if (!step) throw new Error('No active approval step');
+    const user = getUsers().find(u => u.id === userId);
+    const capacity = approverCapacity(expense, user);
+    if (!capacity) throw new Error(hasVoted(step, userId) ? 'You have already decided on this step' : 'You are not an approver for this step');
+    if (decision === 'REQUEST_CHANGES' && !(comment || '').trim()) throw new Error('Say what needs to change');
+    if (!step.eligible) step.eligible = eligibleApproverIds(expense, step.role);
+    const entry = { userId, ...(capacity.onBehalfOf ? { onBehalfOf: capacity.onBehalfOf } : {}), at: nowIso() };
+    const actor = capacity.onBehalfOf ? `${user.name} on behalf of ${getUsers().find(u => u.id === capacity.onBehalfOf)?.name || capacity.onBehalfOf}` : user.name;
+
+    if (decision === 'REQUEST_CHANGES') {
+      step.approvals.push({ ...entry, decision, comment: comment.trim() });
+      // Pause in place: the step index and the votes already cast are kept for when the submitter resumes
+      expense.status = 'CHANGES_REQUESTED';
+      recordHistory(expense, 'CHANGES_REQUESTED', userId, 'request-changes', `Step ${expense.approvals.stepIndex + 1} (${step.role}) paused by ${actor}: ${comment.trim()}`, { comment: comment.trim(), ...(capacity.onBehalfOf ? { onBehalfOf: capacity.onBehalfOf } : {}) });
+      return;
+    }
 
-    step.approvals.push({ userId, decision: decision === 'APPROVE' ? 'APPROVE' : 'REJECT', comment: comment || '', at: nowIso() });
+    step.approvals.push({ ...entry, decision: decision === 'APPROVE' ? 'APPROVE' : 'REJECT', comment: comment || '' });
+    if (capacity.onBehalfOf) recordHistory(expense, 'PENDING', userId, 'delegation', `${decision === 'APPROVE' ? 'Approved' : 'Rejected'} by ${actor} (delegate) at step ${expense.approvals.stepIndex + 1}`, { onBehalfOf: capacity.onBehalfOf });
     rulesEval(expense);
-    setExpenses(expenses);
-    return expense.status;
   }
 
   function adminOverride(expenseId, status, adminId) {
     const expenses = getExpenses();
     const e = expenses.find(x => x.id === expenseId);
     if (!e) throw new Error('Expense not found');
-    e.status = status;
-    // Mark as concluded relative to the expense's own steps
-    e.approvals.stepIndex = e.approvals.steps.length;
-    recordHistory(e, status, adminId);
+    // Report lines are settled with their report; overriding one would leave the report out of step
+    if (e.reportId) throw new Error(`This expense is part of report "${reportOf(e)?.title || 'Untitled'}"; decide on the report instead`);
+    concludeExpense(e, status, adminId, 'admin-override', `${status === 'APPROVED' ? 'Approved' : 'Rejected'} by admin override`);
     setExpenses(expenses);
   }
 
   // ==========================
-  // Expense CRUD
+  // Approval Routing
   // ==========================
-  function listExpensesFor(user) {
-    const all = getExpenses();
-    if (hasRole(user, ROLES.ADMIN)) return all.slice();
-    if (hasRole(user, ROLES.MANAGER)) {
-      const teamIds = getUsers().filter(u => u.managerId === user.id).map(u => u.id);
-      return all.filter(e => teamIds.includes(e.userId) || e.userId === user.id);
+  // A route is { id, name, when: { minAmount, maxAmount, categories, submitterRoles, managerIds }, steps }.
+  // Amounts are compared in company currency; empty lists and blank bounds match anything. Without an exchange rate
+  // the amount is unknown (null): amount bounds are then ignored and resolveRoute picks the strictest route that fits.
+  function routeMatches(route, ctx) {
+    const w = route.when || {};
+    const known = ctx.amountCompany !== null;
+    if (known && w.minAmount != null && w.minAmount !== '' && !(ctx.amountCompany >= +w.minAmount)) return false;
+    if (known && w.maxAmount != null && w.maxAmount !== '' && !(ctx.amountCompany < +w.maxAmount)) return false;
+    if (w.categories?.length && !w.categories.some(c => ctx.categories.includes(c))) return false;
+    if (w.submitterRoles?.length && !w.submitterRoles.some(r => hasRole(ctx.submitter, r))) return false;
+    if (w.managerIds?.length && !w.managerIds.includes(ctx.submitter?.managerId)) return false;
+    return true;
+  }
+
+  // `unrated` lists currencies without an exchange rate; the amount is then unknown and the strictest fitting route is used
+  async function resolveRoute(expense, submitter, rules = getRules()) {
+    const ccy = getCompany()?.currencyCode || expense.currency;
+    const rate = await conversionRate(expense.currency, ccy);
+    const unrated = [...new Set([...(expense.unrated || []), ...(rate === null ? [expense.currency] : [])])];
+    const amountCompany = unrated.length ? null : expense.amount * rate;
+    const ctx = { amountCompany, categories: expenseCategories(expense), submitter };
+    const fitting = (rules.routes || []).filter(r => (r.steps || []).length && routeMatches(r, ctx));
+    // Strictest: the most steps, then the highest amount threshold (the default route counts as threshold 0)
+    const stricter = (r, best) => {
+      const a = r.steps.length, b = (best ? best.steps : rules.steps || []).length;
+      return a > b || (a === b && +(r.when?.minAmount || 0) > +(best?.when?.minAmount || 0));
+    };
+    const route = amountCompany !== null ? fitting[0] || null : fitting.reduce((best, r) => stricter(r, best) ? r : best, null);
+    const steps = (route ? route.steps : rules.steps || []).slice();
+    let overBudget = [];
+    if (rules.budgetRule?.enabled && rules.budgetRule.role) {
+      overBudget = (await budgetImpact({ ...expense, userId: expense.userId || submitter?.id })).filter(x => x.over);
+      if (overBudget.length && !steps.includes(rules.budgetRule.role)) steps.push(rules.budgetRule.role);
     }
-    if (hasRole(user, ROLES.FINANCE) || hasRole(user, ROLES.DIRECTOR)) {
-      // approver sees all pending + their own
-      return all.filter(e => e.status === 'PENDING' || e.userId === user.id);
+    return { route, steps, amountCompany, overBudget, unrated };
+  }
+
+  function allRouteRoles(rules = getRules()) {
+    const extra = rules.budgetRule?.enabled && rules.budgetRule.role ? [rules.budgetRule.role] : [];
+    return Array.from(new Set([...(rules.steps || []), ...(rules.routes || []).flatMap(r => r.steps || []), ...extra]));
+  }
+
+  function describeRouteConditions(route) {
+    const w = route.when || {}; const ccy = getCompany()?.currencyCode || '';
+    const users = getUsers();
+    const parts = [];
+    if (w.minAmount !== '' && w.minAmount != null) parts.push(`amount ≥ ${moneyFmt(+w.minAmount, ccy)}`);
+    if (w.maxAmount !== '' && w.maxAmount != null) parts.push(`amount < ${moneyFmt(+w.maxAmount, ccy)}`);
+    if (w.categories?.length) parts.push(`category in ${w.categories.map(categoryLabel).join('/')}`);
+    if (w.submitterRoles?.length) parts.push(`submitter is ${w.submitterRoles.join('/')}`);
+    if (w.managerIds?.length) parts.push(`manager is ${w.managerIds.map(id => users.find(u => u.id === id)?.name || id).join('/')}`);
+    return parts.length ? parts.join(', ') : 'always';
+  }
+
+  // ==========================
+  // Mileage & Per Diem
+  // ==========================
+  // Returns the stored calculation for a MILEAGE or PER_DIEM claim; throws when the inputs are incomplete
+  function computeAllowance(input, cfg = getAllowances()) {
+    const currency = getCompany()?.currencyCode || 'USD';
+    const round = (n) => Math.round(n * 100) / 100;
+    if (input?.type === EXPENSE_TYPES.MILEAGE) {
+      const vehicle = cfg.mileage.vehicles.find(v => v.id === input.vehicle);
+      if (!vehicle) throw new Error('Choose a vehicle type');
+      if (!(input.distance > 0)) throw new Error('Enter the distance travelled');
+      const unit = cfg.mileage.unit;
+      return { type: input.type, distance: input.distance, unit, vehicle: vehicle.id, vehicleName: vehicle.name, rate: vehicle.rate, currency, amount: round(input.distance * vehicle.rate),
+        breakdown: `${input.distance} ${unit} × ${moneyFmt(vehicle.rate, currency)}/${unit} (${vehicle.name})` };
+    }
+    if (input?.type === EXPENSE_TYPES.PER_DIEM) {
+      if (!input.country) throw new Error('Choose a destination country');
+      if (!(input.days > 0)) throw new Error('Enter the number of days');
+      const rate = +(cfg.perDiem.countries[input.country] ?? cfg.perDiem.defaultRate);
+      return { type: input.type, country: input.country, days: input.days, rate, currency, amount: round(input.days * rate),
+        breakdown: `${input.days} day${input.days === 1 ? '' : 's'} × ${moneyFmt(rate, currency)}/day (${input.country})` };
     }
-    // employee: own
-    return all.filter(e => e.userId === user.id);
+    throw new Error('Not a computed expense type');
   }
 
-  function canCurrentUserSubmitExpense(user) { return hasRole(user, ROLES.EMPLOYEE); }
+  const isComputedExpense = (e) => !!e?.calc && (e.type === EXPENSE_TYPES.MILEAGE || e.type === EXPENSE_TYPES.PER_DIEM);
 
-  function addExpense(exp) {
-    const expenses = getExpenses();
-    expenses.unshift(exp);
-    setExpenses(expenses);
+  function calcBreakdownHtml(e) {
+    if (!isComputedExpense(e)) return '';
+    return `<div class="muted small"><i class="fa-solid fa-calculator"></i> ${escapeHtml(e.calc.breakdown)} = ${moneyFmt(e.calc.amount, e.calc.currency)}</div>`;
   }
 
   // ==========================
-  // UI Rendering
+  // Line Items
   // ==========================
-  function setActiveView(id) {
-    $$('.view').forEach(v => v.classList.add('hidden'));
-    $('#' + id).classList.remove('hidden');
-    $$('.nav-item').forEach(b => b.classList.toggle('active', b.dataset.view === id));
+  // A split expense carries items [{ id, category, amount, description }] in the expense currency that sum to `amount`;
+  // its own `category` is the largest line's. Unsplit expenses read as a single line.
+  function expenseLines(e) {
+    return e.items?.length ? e.items : [{ id: e.id, category: e.category, amount: e.amount, description: e.description }];
   }
 
-  function applyRoleVisibility(user) {
-    $$('#sidebar [data-role]').forEach(el => {
-      const need = (el.dataset.role || '').split(',').map(s => s.trim()).filter(Boolean);
-      el.style.display = need.some(r => hasRole(user, r)) ? '' : 'none';
-    });
-    // New expense button
-    if ($('#new-expense-btn')) $('#new-expense-btn').style.display = canCurrentUserSubmitExpense(user) ? '' : 'none';
-    // Ensure Approvals nav is visible if user has any role used in current steps (or is admin)
-    const apprBtn = $(`#sidebar .nav-item[data-view="approvals-view"]`);
-    if (apprBtn) {
-      const stepRoles = (getRules().steps || []);
-      const userHasStepRole = stepRoles.some(r => hasRole(user, r));
-      if (userHasStepRole || hasRole(user, ROLES.ADMIN)) apprBtn.style.display = '';
-    }
+  const expenseCategories = (e) => Array.from(new Set(expenseLines(e).map(l => l.category)));
+
+  // The part of the expense (expense currency) booked to `categoryId`; the whole amount when no category is given
+  function amountInCategory(e, categoryId) {
+    return categoryId ? expenseLines(e).filter(l => l.category === categoryId).reduce((sum, l) => sum + (+l.amount || 0), 0) : (+e.amount || 0);
   }
 
-  function setHeaderContext(user) {
-    const company = getCompany();
-    $('#company-badge').textContent = `${company?.name || '—'} · ${company?.currencyCode || ''}`;
-    $('#current-user').textContent = `${user.name} (${roleList(user).join(', ')})`;
+  function validateLineItems(items, total, currency) {
+    if (items.length < 2) return 'A split expense needs at least two line items';
+    if (items.some(l => !l.category)) return 'Choose a category for every line item';
+    if (items.some(l => !(l.amount > 0))) return 'Every line item needs an amount above zero';
+    const sum = items.reduce((s, l) => s + l.amount, 0);
+    if (Math.abs(sum - total) > 0.005) return `Line items add up to ${moneyFmt(sum, currency)} but the total is ${moneyFmt(total, currency)}`;
+    return null;
   }
 
-  function cardEl(title, value, icon) {
-    const el = document.createElement('div');
-    el.className = 'card';
-    el.innerHTML = `<h4>${title}</h4><div class="value"><i class="fa-solid ${icon}"></i> ${value}</div>`;
-    return el;
+  function lineItemsTableHtml(e) {
+    return `<table class="lines-table">${e.items.map(l => `<tr><td>${categoryCell(l.category)}</td><td>${escapeHtml(l.description)}</td><td>${moneyFmt(l.amount, e.currency)}</td></tr>`).join('')}</table>`;
   }
 
-  async function renderDashboard(user) {
-    const wrap = $('#dashboard-cards');
-    wrap.innerHTML = '';
-    const all = listExpensesFor(user);
-    const pendingMine = all.filter(e => e.userId === user.id && e.status === 'PENDING').length;
-    const myTotal = all.filter(e => e.userId === user.id).length;
-    const companyAll = hasRole(user, ROLES.ADMIN) ? getExpenses().length : all.length;
-    const pendingToApprove = listExpensesFor(user).filter(e => isUserApproverFor(e, user) && e.status === 'PENDING').length;
+  // ==========================
+  // Budgets
+  // ==========================
+  // A budget is { id, name, category, managerId, period: 'MONTH' | 'QUARTER', amount } in company currency.
+  // Blank category or team matches any; a team is the manager plus their whole reporting subtree.
+  const BUDGET_STATUSES = ['APPROVED', 'SCHEDULED', 'PAID', 'PENDING'];
 
-    wrap.append(
-      cardEl('My Pending Expenses', pendingMine, 'fa-hourglass-half'),
-      cardEl('My Expenses', myTotal, 'fa-file-invoice-dollar'),
-      cardEl('Pending to Approve', pendingToApprove, 'fa-check-double'),
-      cardEl('Total Visible Expenses', companyAll, 'fa-list')
-    );
+  function getBudgets() { return Storage.get(KEYS.budgets, []); }
+  function setBudgets(b) { Storage.set(KEYS.budgets, b); }
 
-    // Recent activity
-    const act = $('#recent-activity');
-    const recent = getExpenses().slice(0, 6);
-    act.innerHTML = recent.map(e => {
-      const u = getUsers().find(x => x.id === e.userId);
-      return `<div class="activity-item">
-        <span class="badge">${e.status}</span>
-        <span>${fmtDate(e.date)} - ${u?.name || 'Unknown'} - ${e.category}: ${e.description}</span>
-      </div>`;
-    }).join('');
+  function budgetPeriodRange(period, date = new Date()) {
+    const d = new Date(date);
+    const first = period === 'QUARTER' ? Math.floor(d.getMonth() / 3) * 3 : d.getMonth();
+    return { start: new Date(d.getFullYear(), first, 1), end: new Date(d.getFullYear(), first + (period === 'QUARTER' ? 3 : 1), 1) };
   }
 
-  async function renderExpensesView(user) {
-    // Populate currency select
-    const ccys = await fetchCountries();
-    const cset = new Set();
-    $('#exp-currency').innerHTML = ccys.filter(c => { if (cset.has(c.currencyCode)) return false; cset.add(c.currencyCode); return true; })
-      .map(c => `<option value="${c.currencyCode}">${c.currencyCode} ${c.currencySymbol !== c.currencyCode ? `(${c.currencySymbol})` : ''}</option>`).join('');
+  function budgetPeriodLabel(period, date = new Date()) {
+    const d = new Date(date);
+    return period === 'QUARTER' ? `Q${Math.floor(d.getMonth() / 3) + 1} ${d.getFullYear()}` : d.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  }
 
-    const tbody = $('#expenses-table tbody');
-    function applyFilters(rows) {
-      const q = ($('#exp-search').value || '').toLowerCase();
-      const st = $('#exp-status-filter').value;
-      const cat = $('#exp-category-filter').value;
-      const df = $('#exp-date-from').value; const dt = $('#exp-date-to').value;
-      return rows.filter(r => {
-        if (q && !(`${r.description} ${r.category}`.toLowerCase().includes(q))) return false;
-        if (st && r.status !== st) return false;
-        if (cat && r.category !== cat) return false;
-        if (df && new Date(r.date) < new Date(df)) return false;
-        if (dt && new Date(r.date) > new Date(dt)) return false;
-        return true;
-      });
-    }
+  function budgetApplies(budget, expense, users = getUsers()) {
+    if (budget.category && !expenseCategories(expense).includes(budget.category)) return false;
+    if (budget.managerId && expense.userId !== budget.managerId && !reportIds(budget.managerId, users).includes(expense.userId)) return false;
+    return true;
+  }
 
-    async function draw() {
-      const rows = listExpensesFor(user);
-      const filtered = applyFilters(rows);
-      const company = getCompany();
-      const items = await Promise.all(filtered.map(async e => {
-        const amountC = await convert(e.amount, e.currency, company.currencyCode);
-        const emp = getUsers().find(u => u.id === e.userId);
-        const approver = isUserApproverFor(e, user) && e.status === 'PENDING';
-        const adminAct = hasRole(user, ROLES.ADMIN) && e.status === 'PENDING';
-        return `<tr data-id="${e.id}">
-          <td>${fmtDate(e.date)}</td>
-          <td>${emp?.name || '-'}</td>
-          <td>${e.category}</td>
-          <td title="${e.receipt?.text || ''}">${e.description}</td>
-          <td>${moneyFmt(e.amount, e.currency)}</td>
-          <td>${moneyFmt(amountC, company.currencyCode)}</td>
-          <td><span class="status ${e.status}">${e.status}</span></td>
+  // Approved and pending spend in the budget period containing `date`, in company currency
+  async function budgetConsumption(budget, date = new Date(), { excludeIds = [] } = {}) {
+    const ccy = getCompany()?.currencyCode;
+    const { start, end } = budgetPeriodRange(budget.period, date);
+    const users = getUsers();
+    const rows = Storage.between(KEYS.expenses, 'date', start, end)
+      .filter(e => !excludeIds.includes(e.id) && BUDGET_STATUSES.includes(e.status) && budgetApplies(budget, e, users));
+    const amounts = await Promise.all(rows.map(e => convert(amountInCategory(e, budget.category), e.currency, ccy || e.currency)));
+    return amounts.reduce((sum, a) => sum + a, 0);
+  }
+
+  // Every budget the expense counts against, with its spend once the expense is included
+  async function budgetImpact(expense) {
+    const ccy = getCompany()?.currencyCode;
+    const date = expense.date || new Date();
+    const users = getUsers();
+    return Promise.all(getBudgets().filter(b => budgetApplies(b, expense, users)).map(async budget => {
+      const amount = await convert(amountInCategory(expense, budget.category), expense.currency, ccy || expense.currency);
+      // A report stands in for its member expenses, which are already counted while pending
+      const after = await budgetConsumption(budget, date, { excludeIds: [expense.id, ...(expense.memberIds || [])] }) + amount;
+      return { budget, after, remaining: budget.amount - after, over: after > budget.amount, period: budgetPeriodLabel(budget.period, date) };
+    }));
+  }
+
+  function budgetImpactLabel(x) {
+    const ccy = getCompany()?.currencyCode;
+    return x.over ? `${x.budget.name} (${x.period}) over by ${moneyFmt(-x.remaining, ccy)}` : `${x.budget.name} (${x.period}): ${moneyFmt(x.remaining, ccy)} left`;
+  }
+
+  // ==========================
+  // Expense Policy
+  // ==========================
+  const POLICY_LABELS = { categoryLimit: 'Over limit', receiptAge: 'Old receipt', receiptRequired: 'No receipt', futureDate: 'Future date', weekend: 'Weekend' };
+
+  function getPolicy() {
+    const stored = Storage.get(KEYS.policy, {});
+    return Object.fromEntries(Object.entries(DEFAULT_POLICY).map(([k, v]) => [k, { ...v, ...(stored[k] || {}) }]));
+  }
+  function setPolicy(p) { Storage.set(KEYS.policy, p); }
+
+  // Violations of the policy as { code, action, message }; `hasReceipt` covers a file picked but not yet stored
+  async function evaluatePolicy(expense, { hasReceipt = !!expense.receipt?.fileName, policy = getPolicy() } = {}) {
+    const ccy = getCompany()?.currencyCode;
+    const day = (expense.date || '').slice(0, 10);
+    const out = [];
+    const flag = (code, message) => out.push({ code, action: policy[code].action === 'BLOCK' ? 'BLOCK' : 'WARN', message });
+
+    for (const category of policy.categoryLimit.enabled ? expenseCategories(expense) : []) {
+      const cap = +policy.categoryLimit.limits?.[category];
+      if (!(cap > 0)) continue;
+      // Same person, category and day; drafts, withdrawn and rejected claims do not count
+      const sameDay = getExpenses().filter(e => e.id !== expense.id && e.userId === expense.userId && expenseCategories(e).includes(category)
+        && (e.date || '').slice(0, 10) === day && ['PENDING', 'APPROVED', 'SCHEDULED', 'PAID', 'CHANGES_REQUESTED'].includes(e.status));
+      const amounts = await Promise.all([expense, ...sameDay].map(e => convert(amountInCategory(e, category), e.currency, ccy || e.currency)));
+      const total = amounts.reduce((sum, a) => sum + a, 0);
+      if (total > cap) flag('categoryLimit', `${categoryLabel(category)} is limited to ${moneyFmt(cap, ccy)} per day; this day totals ${moneyFmt(total, ccy)}`);
+    }
+    if (policy.futureDate.enabled && day > todayStr()) flag('futureDate', 'Expense date is in the future');
+    const ageDays = Math.floor((Date.parse(todayStr()) - Date.parse(day)) / (24 * HOUR_MS));
+    if (policy.receiptAge.enabled && ageDays > +policy.receiptAge.days) flag('receiptAge', `Expense is ${ageDays} days old; the limit is ${policy.receiptAge.days} days`);
+    if (policy.weekend.enabled && [0, 6].includes(new Date(`${day}T00:00:00Z`).getUTCDay())) flag('weekend', 'Expense date falls on a weekend');
+    if (policy.receiptRequired.enabled && !hasReceipt && !isComputedExpense(expense)) {
+      const amount = await convert(expense.amount || 0, expense.currency, ccy || expense.currency);
+      if (amount > +policy.receiptRequired.above) flag('receiptRequired', `A receipt is required above ${moneyFmt(+policy.receiptRequired.above, ccy)}`);
+    }
+    return out;
+  }
+
+  function policyBadges(expense) {
+    return (expense.policy?.violations || []).map(v => ` <span class="badge-flag flag-policy" title="${escapeHtml(v.message)}">${POLICY_LABELS[v.code] || v.code}</span>`).join('');
+  }
+
+  // ==========================
+  // Duplicate Detection
+  // ==========================
+  const DUPLICATE_WINDOW_DAYS = 3;
+  const DUPLICATE_AMOUNT_TOLERANCE = 0.02; // relative difference still treated as the same amount
+
+  // SHA-256 of the receipt file; null where SubtleCrypto is unavailable (non-secure origins)
+  async function hashReceiptFile(file) {
+    try {
+      const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+      return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    } catch { return null; }
+  }
+
+  const descriptionWords = (text) => new Set((text || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 1));
+
+  // Jaccard overlap of the two descriptions' words, 0..1
+  function descriptionSimilarity(a, b) {
+    const x = descriptionWords(a), y = descriptionWords(b);
+    if (!x.size || !y.size) return 0;
+    const shared = [...x].filter(w => y.has(w)).length;
+    return shared / (x.size + y.size - shared);
+  }
+
+  // The submitter's earlier claims that look like `candidate`, each with the reasons it matched
+  function findDuplicateExpenses(candidate, receipt = candidate.receipt) {
+    const day = (iso) => Date.parse((iso || '').slice(0, 10));
+    return getExpenses().filter(e => e.id !== candidate.id && e.userId === candidate.userId && !['DRAFT', 'WITHDRAWN'].includes(e.status)).map(e => {
+      const reasons = [];
+      if (receipt?.hash && e.receipt?.hash === receipt.hash) reasons.push('identical receipt file');
+      else if (receipt?.fileName && e.receipt?.fileName === receipt.fileName) reasons.push('same receipt file name');
+      const sameAmount = e.currency === candidate.currency && Math.abs(e.amount - candidate.amount) <= Math.max(0.01, Math.abs(candidate.amount) * DUPLICATE_AMOUNT_TOLERANCE);
+      const nearDate = Math.abs(day(e.date) - day(candidate.date)) <= DUPLICATE_WINDOW_DAYS * 24 * HOUR_MS;
+      const similar = descriptionSimilarity(e.description, candidate.description) >= 0.5 || (!e.description && !candidate.description);
+      if (sameAmount && nearDate) {
+        reasons.push(e.amount === candidate.amount ? 'same amount' : 'similar amount', 'date within ' + DUPLICATE_WINDOW_DAYS + ' days');
+        if (similar) reasons.push('similar description');
+      } else if (sameAmount) reasons.push(e.amount === candidate.amount ? 'same amount' : 'similar amount');
+      else if (nearDate) reasons.push('date within ' + DUPLICATE_WINDOW_DAYS + ' days');
+      // Amount and date alone are common (daily lunches); they need a matching description or receipt as well.
+      // File names like IMG_0001.jpg repeat across unrelated claims, so a name match only counts alongside amount or date.
+      const sameName = reasons.includes('same receipt file name');
+      const likely = reasons.includes('identical receipt file') || (sameName && (sameAmount || nearDate)) || (sameAmount && nearDate && similar);
+      return likely ? { expense: e, reasons } : null;
+    }).filter(Boolean);
+  }
+
+  function duplicateBadge(expense) {
+    const dup = expense.duplicateOf || [];
+    if (!dup.length) return '';
+    const list = getExpenses();
+    const title = dup.map(d => { const o = list.find(x => x.id === d.id); return `${o ? `${fmtDate(o.date)} ${o.description || categoryLabel(o.category)} ${moneyFmt(o.amount, o.currency)}` : 'removed expense'}: ${d.reasons.join(', ')}`; }).join(' | ');
+    return ` <span class="badge-flag flag-duplicate" title="${escapeHtml(title)}">Possible duplicate</span>`;
+  }
+
+  // Policy and duplicate checks a submission goes through, whether typed in the modal or imported
+  async function submissionChecks(candidate, { hasReceipt }) {
+    const violations = await evaluatePolicy(candidate, { hasReceipt });
+    return { violations, blocking: violations.filter(v => v.action === 'BLOCK'), duplicates: findDuplicateExpenses(candidate) };
+  }
+
+  function applySubmissionChecks(expense, { violations, duplicates }) {
+    expense.policy = { checkedAt: nowIso(), violations };
+    if (duplicates.length) expense.duplicateOf = duplicates.map(d => ({ id: d.expense.id, reasons: d.reasons })); else delete expense.duplicateOf;
+  }
+
+  function newExpenseRecord(fields, user) {
+    return { id: uuid(), userId: user.id, ...fields, status: 'DRAFT', receipt: { fileName: '', text: '' }, approvals: { stepIndex: 0, steps: [] }, createdAt: nowIso(), history: [] };
+  }
+
+  // ==========================
+  // Approval SLAs & Escalation
+  // ==========================
+  const HOUR_MS = 3600 * 1000;
+
+  function slaConfig(rules = getRules()) { return { ...DEFAULT_RULES.sla, ...(rules.sla || {}) }; }
+
+  function slaFor(role, rules = getRules()) {
+    const cfg = slaConfig(rules);
+    const own = cfg.steps?.[role] || {};
+    return { dueHours: +(own.dueHours || cfg.dueHours), escalateHours: +(own.escalateHours || cfg.escalateHours) };
+  }
+
+  // Waiting time of the current step; null when SLAs are off or the expense is not waiting on an approver
+  function slaStatus(expense, now = Date.now()) {
+    const cfg = slaConfig();
+    if (!cfg.enabled || expense.status !== 'PENDING') return null;
+    const step = approverEntry(expense); if (!step) return null;
+    const since = step.slaStartedAt || step.activatedAt || expense.history?.find(h => h.status === 'PENDING')?.at || expense.createdAt;
+    const hours = (now - new Date(since).getTime()) / HOUR_MS;
+    const { dueHours, escalateHours } = slaFor(step.role);
+    return { hours, dueHours, escalateHours, overdue: hours >= dueHours, escalationDue: hours >= escalateHours, escalated: !!step.escalatedAt };
+  }
+
+  function slaBadge(expense) {
+    const st = slaStatus(expense);
+    if (!st || !st.overdue) return '';
+    const label = st.escalated ? 'Escalated' : 'Overdue';
+    return ` <span class="badge-flag ${st.escalated ? 'flag-escalated' : 'flag-overdue'}" title="Waiting ${Math.floor(st.hours)}h at this step (due after ${st.dueHours}h, escalates after ${st.escalateHours}h)">${label} ${Math.floor(st.hours)}h</span>`;
+  }
+
+  function escalationTargets(expense, step, cfg) {
+    const users = getUsers();
+    let ids = [];
+    if (cfg.escalateTo === 'APPROVER_MANAGER') {
+      ids = stepPool(expense, step).map(id => users.find(u => u.id === id)?.managerId).filter(Boolean);
+    }
+    if (!ids.length) ids = users.filter(u => hasRole(u, cfg.fallbackRole)).map(u => u.id);
+    return Array.from(new Set(ids)).filter(id => id !== expense.userId);
+  }
+
+  // Escalates every step that has waited past its second threshold. Each step escalates once.
+  function runEscalations(now = Date.now()) {
+    const cfg = slaConfig();
+    if (!cfg.enabled) return 0;
+    const expenses = getExpenses(); const reports = getReports();
+    let count = 0, reportCount = 0;
+    for (const e of [...expenses, ...reports]) {
+      const st = slaStatus(e, now);
+      if (!st?.escalationDue || st.escalated) continue;
+      const step = approverEntry(e);
+      const targets = escalationTargets(e, step, cfg);
+      step.escalatedAt = nowIso();
+      step.escalatedTo = targets;
+      const names = targets.map(id => getUsers().find(u => u.id === id)?.name || id).join(', ') || 'nobody (no manager or fallback role holder found)';
+      recordHistory(e, 'ESCALATED', 'system', 'sla', `Step ${e.approvals.stepIndex + 1} (${step.role}) waited ${Math.floor(st.hours)}h (escalates after ${st.escalateHours}h); escalated to ${names}`, { escalatedTo: targets });
+      count++;
+      if (reports.includes(e)) reportCount++;
+    }
+    if (count > reportCount) setExpenses(expenses);
+    if (reportCount) setReports(reports);
+    return count;
+  }
+
+  function overdueApprovalsFor(user) {
+    const items = hasRole(user, ROLES.ADMIN) ? [...expensesIn('PENDING'), ...getReports().filter(r => r.status === 'PENDING')] : [...listApprovableFor(user), ...listApprovableReportsFor(user)];
+    return items.filter(e => slaStatus(e)?.overdue);
+  }
+
+  // ==========================
+  // Expense CRUD
+  // ==========================
+  function listExpensesFor(user) {
+    // Drafts are private to their author
+    const all = getExpenses().filter(e => e.status !== 'DRAFT' || e.userId === user.id);
+    if (hasRole(user, ROLES.ADMIN)) return all.slice();
+    // everyone sees their own plus their whole reporting subtree (direct and indirect reports)
+    const teamIds = new Set(reportIds(user.id));
+    const mineOrTeam = (e) => e.userId === user.id || teamIds.has(e.userId);
+    if (hasRole(user, ROLES.FINANCE) || hasRole(user, ROLES.DIRECTOR)) {
+      // approvers also see all pending
+      return all.filter(e => e.status === 'PENDING' || mineOrTeam(e));
+    }
+    return all.filter(mineOrTeam);
+  }
+
+  function canCurrentUserSubmitExpense(user) { return hasRole(user, ROLES.EMPLOYEE); }
+
+  function addExpense(exp) {
+    const expenses = getExpenses();
+    expenses.unshift(exp);
+    setExpenses(expenses);
+  }
+
+  function updateExpense(expense) {
+    const expenses = getExpenses();
+    const idx = expenses.findIndex(e => e.id === expense.id);
+    if (idx < 0) throw new Error('Expense not found');
+    expenses[idx] = expense;
+    setExpenses(expenses);
+  }
+
+  const hasDecisions = (expense) => (expense.approvals?.steps || []).some(s => (s.approvals || []).length);
+
+  // Owners may edit drafts, expenses sent back for changes, and pending expenses until the first approver has acted
+  function canEditExpense(expense, user) {
+    // Report members change with their report: while it is a draft or sent back for changes
+    if (expense.reportId) return expense.userId === user.id && ['DRAFT', 'CHANGES_REQUESTED'].includes(reportOf(expense)?.status);
+    return expense.userId === user.id && (['DRAFT', 'CHANGES_REQUESTED'].includes(expense.status) || (expense.status === 'PENDING' && !hasDecisions(expense)));
+  }
+  function canWithdrawExpense(expense, user) { return !expense.reportId && expense.userId === user.id && ['PENDING', 'CHANGES_REQUESTED'].includes(expense.status); }
+  function canResubmitExpense(expense, user) { return !expense.reportId && expense.userId === user.id && ['REJECTED', 'WITHDRAWN'].includes(expense.status); }
+
+  // Owners may remove an expense nobody has acted on yet; admins may remove any expense
+  function canRemoveExpense(expense, user) {
+    if (hasRole(user, ROLES.ADMIN)) return true;
+    if (expense.userId !== user.id) return false;
+    if (expense.reportId) return reportOf(expense)?.status === 'DRAFT';
+    return ['DRAFT', 'WITHDRAWN'].includes(expense.status) || (expense.status === 'PENDING' && !hasDecisions(expense));
+  }
+
+  // Routes the expense and opens step 1 of a fresh approval round
+  async function startApprovalRound(expense, user) {
+    openApprovalRound(expense, user, await resolveRoute(expense, user));
+  }
+
+  // `resolved` is what resolveRoute returned for the expense (or the report standing in for its members)
+  function openApprovalRound(expense, user, { route, steps, overBudget, unrated = [] }) {
+    expense.status = 'PENDING';
+    expense.approvals = { stepIndex: 0, route: route ? { id: route.id, name: route.name } : null, steps: steps.map(r => ({ role: r, approvals: [] })) };
+    activateStep(expense, 0);
+    const budgetNote = overBudget.length ? `; over budget: ${overBudget.map(budgetImpactLabel).join(', ')}` : '';
+    const rateNote = unrated.length ? `; no exchange rate for ${unrated.join(', ')}, so the strictest matching route was used` : '';
+    recordHistory(expense, 'PENDING', user.id, 'routing', `Routed via ${route ? `"${route.name}"` : 'default route'}: ${steps.join(' → ')}${budgetNote}${rateNote}`);
+  }
+
+  // The closed round (route, steps and every decision) is archived on the history entry before the reset
+  async function resubmitExpense(expense, user) {
+    if (!canResubmitExpense(expense, user)) throw new Error('Only your rejected or withdrawn expenses can be resubmitted');
+    const round = expense.round || 1;
+    recordHistory(expense, 'RESUBMITTED', user.id, 'resubmission', `Round ${round} closed as ${expense.status}; revised and resubmitted`,
+      { round: { number: round, status: expense.status, route: expense.approvals?.route || null, steps: expense.approvals?.steps || [] } });
+    expense.round = round + 1;
+    await startApprovalRound(expense, user);
+  }
+
+  // Picks the paused step back up so earlier approvals stand, unless the update (amount, category, lines) now
+  // resolves to a different route or budget step: then the round is closed and routed afresh. `routed` is what
+  // gets routed, i.e. the report as an expense for reports. Returns true when the expense was re-routed.
+  async function resumeAfterChanges(expense, user, routed = expense) {
+    if (expense.status !== 'CHANGES_REQUESTED') throw new Error('No changes were requested on this expense');
+    const resolved = await resolveRoute(routed, user);
+    const current = (expense.approvals?.steps || []).map(s => s.role);
+    if (resolved.steps.join() !== current.join()) {
+      const round = expense.round || 1;
+      recordHistory(expense, 'RESUBMITTED', user.id, 'reroute', `Round ${round} closed: the update changes the route from ${current.join(' → ') || '-'} to ${resolved.steps.join(' → ')}`,
+        { round: { number: round, status: expense.status, route: expense.approvals?.route || null, steps: expense.approvals?.steps || [] } });
+      expense.round = round + 1;
+      openApprovalRound(expense, user, resolved);
+      return true;
+    }
+    expense.status = 'PENDING';
+    const step = approverEntry(expense);
+    if (step) step.slaStartedAt = nowIso(); // the SLA clock does not run while the submitter holds the expense
+    recordHistory(expense, 'PENDING', user.id, 'changes-submitted', `Updated by submitter; resumed at step ${expense.approvals.stepIndex + 1} (${step?.role || '-'})`);
+    return false;
+  }
+
+  function latestChangeRequest(expense) {
+    return (expense.history || []).slice().reverse().find(h => h.status === 'CHANGES_REQUESTED') || null;
+  }
+
+  function withdrawExpense(expenseId, user) {
+    const expenses = getExpenses();
+    const expense = expenses.find(e => e.id === expenseId);
+    if (!expense) throw new Error('Expense not found');
+    if (!canWithdrawExpense(expense, user)) throw new Error('Only your pending expenses can be withdrawn');
+    expense.status = 'WITHDRAWN';
+    recordHistory(expense, 'WITHDRAWN', user.id, 'withdrawal', `Withdrawn by submitter at step ${(expense.approvals?.stepIndex ?? 0) + 1}`);
+    setExpenses(expenses);
+  }
+
+  async function removeExpense(expenseId, user) {
+    const expenses = getExpenses();
+    const expense = expenses.find(e => e.id === expenseId);
+    if (!expense) throw new Error('Expense not found');
+    if (!canRemoveExpense(expense, user)) throw new Error('You cannot remove this expense');
+    setExpenses(expenses.filter(e => e.id !== expenseId));
+    if (expense.reportId) setReports(getReports().map(r => r.id === expense.reportId ? { ...r, expenseIds: r.expenseIds.filter(id => id !== expenseId) } : r));
+    try { await Attachments.remove(expenseId); } catch { /* pruned on next boot */ }
+  }
+
+  // ==========================
+  // Expense Reports
+  // ==========================
+  // A report bundles several of the submitter's expenses (one trip, say) into a single approval. It carries the
+  // same status/approvals/history shape as an expense, so routing, rulesEval, delegation and SLAs apply unchanged.
+  // Members keep `reportId` and have no approval steps of their own while the report is in approval.
+  const reportOf = (expense) => expense?.reportId ? getReports().find(r => r.id === expense.reportId) || null : null;
+
+  function reportMembers(report, expenses = getExpenses()) {
+    return (report.expenseIds || []).map(id => expenses.find(e => e.id === id)).filter(Boolean);
+  }
+
+  async function reportTotal(report, expenses = getExpenses()) {
+    const ccy = getCompany()?.currencyCode;
+    const amounts = await Promise.all(reportMembers(report, expenses).filter(e => e.status !== 'REJECTED').map(e => convert(e.amount, e.currency, ccy || e.currency)));
+    return amounts.reduce((sum, a) => sum + a, 0);
+  }
+
+  // The report seen as one expense in company currency, for routing and budget checks
+  async function reportAsExpense(report, members) {
+    const ccy = getCompany()?.currencyCode;
+    const items = (await Promise.all(members.map(async e => Promise.all(expenseLines(e).map(async l => ({ ...l, amount: await convert(+l.amount || 0, e.currency, ccy || e.currency) })))))).flat();
+    const amount = items.reduce((sum, l) => sum + l.amount, 0);
+    const largest = items.slice().sort((a, b) => b.amount - a.amount)[0];
+    const unrated = [];
+    for (const from of new Set(members.map(e => e.currency))) if (await conversionRate(from, ccy || from) === null) unrated.push(from);
+    return { id: report.id, userId: report.userId, amount, currency: ccy, date: report.from, category: largest?.category, items, memberIds: members.map(e => e.id), unrated };
+  }
+
+  function listReportsFor(user) {
+    const all = getReports().filter(r => r.status !== 'DRAFT' || r.userId === user.id);
+    if (hasRole(user, ROLES.ADMIN)) return all;
+    const teamIds = new Set(reportIds(user.id));
+    const mineOrTeam = (r) => r.userId === user.id || teamIds.has(r.userId);
+    if (hasRole(user, ROLES.FINANCE) || hasRole(user, ROLES.DIRECTOR)) return all.filter(r => r.status === 'PENDING' || mineOrTeam(r));
+    return all.filter(mineOrTeam);
+  }
+
+  function listApprovableReportsFor(user) {
+    const seen = new Set();
+    return [user, ...activeDelegators(user)].flatMap(u => listReportsFor(u))
+      .filter(r => !seen.has(r.id) && seen.add(r.id))
+      .filter(r => r.status === 'PENDING' && isUserApproverFor(r, user));
+  }
+
+  // Own draft expenses that are not already in another report
+  function reportCandidates(user, reportId = null) {
+    return expensesOf(user.id).filter(e => e.status === 'DRAFT' && (!e.reportId || e.reportId === reportId));
+  }
+
+  const canEditReport = (report, user) => report.userId === user.id && ['DRAFT', 'CHANGES_REQUESTED'].includes(report.status);
+  const canSubmitReport = (report, user) => report.userId === user.id && ['DRAFT', 'CHANGES_REQUESTED'].includes(report.status);
+  const canWithdrawReport = (report, user) => report.userId === user.id && ['PENDING', 'CHANGES_REQUESTED'].includes(report.status) && !hasDecisions(report);
+  const canReopenReport = (report, user) => report.userId === user.id && ['REJECTED', 'WITHDRAWN'].includes(report.status);
+  const canRemoveReport = (report, user) => report.status === 'DRAFT' && (report.userId === user.id || hasRole(user, ROLES.ADMIN));
+
+  // Creates or updates a report's details; members can only be added or removed while it is a draft
+  function saveReport(fields, user) {
+    const reports = getReports(); const expenses = getExpenses();
+    let report = fields.id ? reports.find(r => r.id === fields.id) : null;
+    if (fields.id && !report) throw new Error('Report not found');
+    if (report && !canEditReport(report, user)) throw new Error('This report can no longer be changed');
+    if (!fields.title) throw new Error('Give the report a title');
+    if (!fields.from || !fields.to || fields.from > fields.to) throw new Error('Enter a valid date range');
+    const ids = report && report.status !== 'DRAFT' ? report.expenseIds : fields.expenseIds;
+    const outside = ids.map(id => expenses.find(e => e.id === id)).filter(e => e && (e.date.slice(0, 10) < fields.from || e.date.slice(0, 10) > fields.to));
+    if (outside.length) throw new Error(`${outside.map(e => e.description || categoryLabel(e.category)).join(', ')} ${outside.length > 1 ? 'fall' : 'falls'} outside the report dates`);
+    if (!report) {
+      report = { id: uuid(), userId: user.id, status: 'DRAFT', expenseIds: [], approvals: { stepIndex: 0, steps: [] }, createdAt: nowIso(), history: [] };
+      recordHistory(report, 'DRAFT', user.id, null, 'Report created');
+      reports.unshift(report);
+    }
+    Object.assign(report, { title: fields.title, purpose: fields.purpose, from: fields.from, to: fields.to });
+    if (report.status === 'DRAFT') {
+      const allowed = new Set(reportCandidates(user, report.id).map(e => e.id));
+      const next = fields.expenseIds.filter(id => allowed.has(id));
+      expenses.forEach(e => {
+        if (e.reportId === report.id && !next.includes(e.id)) delete e.reportId;
+        if (next.includes(e.id)) e.reportId = report.id;
+      });
+      report.expenseIds = next;
+      setExpenses(expenses);
+    }
+    setReports(reports);
+    return report;
+  }
+
+  // Blocking policy checks run per member; warnings are attached to each member as on a single submission
+  async function checkReportPolicy(members) {
+    const blocking = [];
+    for (const e of members) {
+      const violations = await evaluatePolicy(e);
+      blocking.push(...violations.filter(v => v.action === 'BLOCK').map(v => `${e.description || categoryLabel(e.category)}: ${v.message}`));
+      e.policy = { checkedAt: nowIso(), violations: violations.filter(v => v.action !== 'BLOCK') };
+    }
+    if (blocking.length) throw new Error(`Policy: ${blocking.join('; ')}`);
+  }
+
+  async function submitReport(reportId, user) {
+    const reports = getReports(); const expenses = getExpenses();
+    const stored = reports.find(r => r.id === reportId);
+    if (!stored) throw new Error('Report not found');
+    if (!canSubmitReport(stored, user)) throw new Error('Only your draft reports can be submitted');
+    if (!reportMembers(stored, expenses).length) throw new Error('Add at least one expense to the report');
+    // Policy and routing can still refuse the submission, so the report and its lines are changed on copies
+    // that replace the stored records only once it goes through
+    const report = structuredClone(stored);
+    const members = reportMembers(report, expenses).map(e => structuredClone(e));
+    await checkReportPolicy(members);
+    if (report.status === 'CHANGES_REQUESTED') {
+      await resumeAfterChanges(report, user, await reportAsExpense(report, members));
+    } else {
+      openApprovalRound(report, user, await resolveRoute(await reportAsExpense(report, members), user));
+      members.forEach(e => {
+        e.status = 'PENDING';
+        e.approvals = { stepIndex: 0, route: null, steps: [] };
+        recordHistory(e, 'PENDING', user.id, 'report', `Submitted in report "${report.title}"`);
+      });
+    }
+    // Read again: another tab may have saved while the checks were awaited
+    const latest = getExpenses();
+    members.forEach(m => { const idx = latest.findIndex(e => e.id === m.id); if (idx >= 0) latest[idx] = m; });
+    setExpenses(latest);
+    setReports(getReports().map(r => r.id === report.id ? report : r));
+    return report;
+  }
+
+  // A concluded report settles every member that was not rejected on its own line
+  function settleReportMembers(report, expenses, by) {
+    if (!['APPROVED', 'REJECTED'].includes(report.status)) return;
+    reportMembers(report, expenses).filter(e => e.status === 'PENDING').forEach(e => {
+      e.status = report.status;
+      recordHistory(e, report.status, by, 'report', `${report.status === 'APPROVED' ? 'Approved' : 'Rejected'} with report "${report.title}"`);
+    });
+  }
+
+  function decideReport(reportId, userId, decision, comment) {
+    const reports = getReports(); const expenses = getExpenses();
+    const report = reports.find(r => r.id === reportId);
+    if (!report) throw new Error('Report not found');
+    if (report.status !== 'PENDING') throw new Error('Report is not pending');
+    applyDecision(report, userId, decision, comment);
+    settleReportMembers(report, expenses, userId);
+    setExpenses(expenses); setReports(reports);
+    return report.status;
+  }
+
+  // Rejects one expense inside a pending report. It leaves the report, so the submitter can revise and
+  // resubmit it on its own, and the report continues with the remaining lines.
+  function rejectReportLine(reportId, expenseId, userId, comment) {
+    const reports = getReports(); const expenses = getExpenses();
+    const report = reports.find(r => r.id === reportId);
+    if (!report) throw new Error('Report not found');
+    if (report.status !== 'PENDING') throw new Error('Report is not pending');
+    const user = getUsers().find(u => u.id === userId);
+    if (!approverCapacity(report, user)) throw new Error('You are not an approver for this step');
+    if (!(comment || '').trim()) throw new Error('Say why this line is rejected');
+    const expense = expenses.find(e => e.id === expenseId && e.reportId === reportId);
+    if (!expense) throw new Error('Expense is not part of this report');
+    expense.status = 'REJECTED';
+    delete expense.reportId;
+    recordHistory(expense, 'REJECTED', userId, 'report-line', `Rejected from report "${report.title}" by ${user.name}: ${comment.trim()}`, { comment: comment.trim(), reportId });
+    report.expenseIds = report.expenseIds.filter(id => id !== expenseId);
+    report.rejectedLines = [...(report.rejectedLines || []), { expenseId, by: userId, comment: comment.trim(), at: nowIso() }];
+    recordHistory(report, 'PENDING', userId, 'report-line', `Line "${expense.description || categoryLabel(expense.category)}" rejected: ${comment.trim()}`);
+    if (!report.expenseIds.length) concludeExpense(report, 'REJECTED', userId, 'report-line', 'Every line was rejected');
+    setExpenses(expenses); setReports(reports);
+    return report.status;
+  }
+
+  // Withdrawing or reopening hands the members back to the submitter as drafts
+  function returnReportToDraft(report, expenses, user, status, note) {
+    report.status = status;
+    recordHistory(report, status, user.id, 'report', note);
+    reportMembers(report, expenses).forEach(e => { e.status = 'DRAFT'; recordHistory(e, 'DRAFT', user.id, 'report', `${note} (report "${report.title}")`); });
+  }
+
+  function withdrawReport(reportId, user) {
+    const reports = getReports(); const expenses = getExpenses();
+    const report = reports.find(r => r.id === reportId);
+    if (!report || !canWithdrawReport(report, user)) throw new Error('Only your pending reports without decisions can be withdrawn');
+    returnReportToDraft(report, expenses, user, 'WITHDRAWN', 'Withdrawn by submitter');
+    setExpenses(expenses); setReports(reports);
+  }
+
+  function reopenReport(reportId, user) {
+    const reports = getReports(); const expenses = getExpenses();
+    const report = reports.find(r => r.id === reportId);
+    if (!report || !canReopenReport(report, user)) throw new Error('Only your rejected or withdrawn reports can be reopened');
+    const round = report.round || 1;
+    recordHistory(report, 'RESUBMITTED', user.id, 'resubmission', `Round ${round} closed as ${report.status}; reopened for revision`,
+      { round: { number: round, status: report.status, route: report.approvals?.route || null, steps: report.approvals?.steps || [] } });
+    report.round = round + 1;
+    report.approvals = { stepIndex: 0, steps: [] };
+    returnReportToDraft(report, expenses, user, 'DRAFT', 'Reopened for revision');
+    setExpenses(expenses); setReports(reports);
+  }
+
+  function removeReport(reportId, user) {
+    const report = getReports().find(r => r.id === reportId);
+    if (!report || !canRemoveReport(report, user)) throw new Error('Only draft reports can be removed');
+    const expenses = getExpenses();
+    expenses.forEach(e => { if (e.reportId === reportId) delete e.reportId; });
+    setExpenses(expenses);
+    setReports(getReports().filter(r => r.id !== reportId));
+  }
+
+  // ==========================
+  // Reimbursements & Cash Advances
+  // ==========================
+  // Approved expenses are paid back APPROVED → SCHEDULED → PAID; expense.payment keeps
+  // { scheduledFor, paidAt, method, reference, amount, advanceApplied, netPaid } in company currency.
+  // An advance is { id, userId, amount, purpose, issuedAt, issuedBy, method, reference, applied[], returned[] };
+  // its open balance is netted against the employee's next reimbursements.
+  const UNPAID_STATUSES = ['APPROVED', 'SCHEDULED'];
+  const APPROVED_STATUSES = ['APPROVED', 'SCHEDULED', 'PAID'];
+  const PAYMENT_METHODS = ['Bank transfer', 'Payroll', 'Check', 'Cash'];
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  function getAdvances() { return Storage.get(KEYS.advances, []); }
+  function setAdvances(a) { Storage.set(KEYS.advances, a); }
+
+  const canManagePayables = (user) => hasRole(user, ROLES.FINANCE) || hasRole(user, ROLES.ADMIN);
+  const advanceBalance = (a) => round2(a.amount - [...(a.applied || []), ...(a.returned || [])].reduce((sum, x) => sum + x.amount, 0));
+
+  async function companyAmount(expense) {
+    const ccy = getCompany()?.currencyCode;
+    return round2(await convert(expense.amount, expense.currency, ccy || expense.currency));
+  }
+
+  // What the company owes an employee (unpaid approvals) against what they still hold (open advances)
+  async function employeeBalance(userId, expenses = getExpenses(), advances = getAdvances()) {
+    let approved = 0, scheduled = 0;
+    for (const e of expenses.filter(x => x.userId === userId && UNPAID_STATUSES.includes(x.status))) {
+      const amt = await companyAmount(e);
+      if (e.status === 'SCHEDULED') scheduled += amt; else approved += amt;
+    }
+    const advance = advances.filter(a => a.userId === userId).reduce((sum, a) => sum + advanceBalance(a), 0);
+    return { approved: round2(approved), scheduled: round2(scheduled), advance: round2(advance), net: round2(approved + scheduled - advance) };
+  }
+
+  async function payablesSummary() {
+    const expenses = getExpenses(); const advances = getAdvances();
+    const ids = new Set([...expenses.filter(e => UNPAID_STATUSES.includes(e.status)).map(e => e.userId), ...advances.filter(a => advanceBalance(a) > 0).map(a => a.userId)]);
+    const rows = await Promise.all([...ids].map(async userId => ({ userId, ...(await employeeBalance(userId, expenses, advances)), expenses: expenses.filter(e => e.userId === userId && UNPAID_STATUSES.includes(e.status)) })));
+    return rows.sort((a, b) => b.net - a.net);
+  }
+
+  function scheduleReimbursements(userId, date, user) {
+    if (!canManagePayables(user)) throw new Error('Only finance can schedule reimbursements');
+    if (!date) throw new Error('Pick a payment date');
+    const expenses = getExpenses();
+    const due = expensesOf(userId).filter(e => e.status === 'APPROVED');
+    if (!due.length) throw new Error('Nothing approved is waiting to be scheduled');
+    due.forEach(e => {
+      e.status = 'SCHEDULED';
+      e.payment = { scheduledFor: date, scheduledBy: user.id };
+      recordHistory(e, 'SCHEDULED', user.id, 'payment', `Reimbursement scheduled for ${fmtDate(date)}`);
+    });
+    setExpenses(expenses);
+    return due.length;
+  }
+
+  // Pays every unpaid expense of the employee, using open advances (oldest first) before cash
+  async function payReimbursements(userId, { date, method, reference }, user) {
+    if (!canManagePayables(user)) throw new Error('Only finance can record payments');
+    if (!date) throw new Error('Pick a payment date');
+    if (!PAYMENT_METHODS.includes(method)) throw new Error('Choose a payment method');
+    const dueIn = (expenses) => expenses.filter(e => e.userId === userId && UNPAID_STATUSES.includes(e.status)).sort((a, b) => new Date(a.date) - new Date(b.date));
+    if (!dueIn(getExpenses()).length) throw new Error('Nothing is waiting to be paid');
+    const ccy = getCompany()?.currencyCode;
+    const rates = await bookingRates(dueIn(getExpenses()), ccy, 'record the payment');
+    // Every rate is resolved before anything changes; the stores are read again afterwards, since another tab
+    // may have replaced them while the rates were fetched, and the rows are paid in one synchronous pass
+    const expenses = getExpenses(); const advances = getAdvances();
+    const due = dueIn(expenses);
+    if (!due.length) throw new Error('Nothing is waiting to be paid');
+    if (due.some(e => !rates.has(e.currency))) throw new Error('The unpaid expenses changed meanwhile; record the payment again');
+    const open = advances.filter(a => a.userId === userId && advanceBalance(a) > 0).sort((a, b) => new Date(a.issuedAt) - new Date(b.issuedAt));
+    let paid = 0, netted = 0;
+    for (const e of due) {
+      const amount = round2(e.amount * rates.get(e.currency));
+      let applied = 0;
+      for (const a of open) {
+        const take = round2(Math.min(advanceBalance(a), amount - applied));
+        if (take <= 0) continue;
+        (a.applied ||= []).push({ expenseId: e.id, amount: take, at: nowIso() });
+        applied = round2(applied + take);
+      }
+      e.status = 'PAID';
+      e.payment = { ...(e.payment || {}), paidAt: date, paidBy: user.id, method, reference: reference || '', amount, advanceApplied: applied, netPaid: round2(amount - applied) };
+      recordHistory(e, 'PAID', user.id, 'payment', `Paid by ${method.toLowerCase()}${reference ? ` (ref ${reference})` : ''}${applied ? `; ${moneyFmt(applied, ccy)} netted against a cash advance` : ''}`);
+      paid += amount - applied; netted += applied;
+    }
+    setExpenses(expenses); setAdvances(advances);
+    return { count: due.length, paid: round2(paid), netted: round2(netted) };
+  }
+
+  function issueAdvance(fields, user) {
+    if (!canManagePayables(user)) throw new Error('Only finance can issue cash advances');
+    const amount = round2(parseFloat(fields.amount));
+    if (!getUsers().some(u => u.id === fields.userId)) throw new Error('Choose an employee');
+    if (!(amount > 0)) throw new Error('Advance amount must be greater than zero');
+    if (!PAYMENT_METHODS.includes(fields.method)) throw new Error('Choose a payment method');
+    const advance = { id: uuid(), userId: fields.userId, amount, purpose: fields.purpose || '', issuedAt: fields.date || todayStr(), issuedBy: user.id, method: fields.method, reference: fields.reference || '', applied: [], returned: [] };
+    setAdvances([advance, ...getAdvances()]);
+    return advance;
+  }
+
+  // Unused cash handed back closes the rest of the advance
+  function recordAdvanceReturn(advanceId, user) {
+    if (!canManagePayables(user)) throw new Error('Only finance can record returned advances');
+    const advances = getAdvances();
+    const advance = advances.find(a => a.id === advanceId);
+    if (!advance) throw new Error('Advance not found');
+    const amount = advanceBalance(advance);
+    if (amount <= 0) throw new Error('This advance is already settled');
+    (advance.returned ||= []).push({ amount, at: nowIso(), by: user.id });
+    setAdvances(advances);
+    return amount;
+  }
+
+  // ==========================
+  // Recurring Expenses
+  // ==========================
+  // A template is { id, userId, description, amount, currency, category, frequency, startDate, endDate, lastGenerated, active }.
+  // Occurrences fall on the start date's day of month (clamped to short months) and are generated once each.
+  const RECURRING_FREQUENCIES = { MONTHLY: 1, QUARTERLY: 3, YEARLY: 12 };
+  const FREQUENCY_LABELS = { MONTHLY: 'Monthly', QUARTERLY: 'Quarterly', YEARLY: 'Yearly' };
+
+  function getRecurring() { return Storage.get(KEYS.recurring, []); }
+  function setRecurring(list) { Storage.set(KEYS.recurring, list); }
+
+  function addMonthsIso(iso, months) {
+    const [y, m, d] = iso.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(y, m + months, 0)).getUTCDate();
+    return new Date(Date.UTC(y, m - 1 + months, Math.min(d, lastDay))).toISOString().slice(0, 10);
+  }
+
+  // Occurrence dates after the last generated one, up to `until` and the template's end date
+  function recurringOccurrences(t, until = todayStr()) {
+    const step = RECURRING_FREQUENCIES[t.frequency] || 1;
+    const limit = t.endDate && t.endDate < until ? t.endDate : until;
+    const dates = [];
+    for (let n = 0, date = t.startDate; date <= limit; date = addMonthsIso(t.startDate, ++n * step)) {
+      if (!t.lastGenerated || date > t.lastGenerated) dates.push(date);
+    }
+    return dates;
+  }
+
+  function nextOccurrence(t) {
+    const step = RECURRING_FREQUENCIES[t.frequency] || 1;
+    for (let n = 0, date = t.startDate; !t.endDate || date <= t.endDate; date = addMonthsIso(t.startDate, ++n * step)) {
+      if (!t.lastGenerated || date > t.lastGenerated) return date;
+    }
+    return null;
+  }
+
+  function validateRecurring(t) {
+    if (!t.description) return 'Describe the recurring expense';
+    if (!(t.amount > 0)) return 'Amount must be greater than zero';
+    if (!t.currency) return 'Choose a currency';
+    if (!categoryById(t.category) || categoryById(t.category).archived) return 'Choose an active category';
+    if (!RECURRING_FREQUENCIES[t.frequency]) return 'Choose a schedule';
+    if (!t.startDate) return 'Pick a start date';
+    if (t.endDate && t.endDate < t.startDate) return 'End date must be on or after the start date';
+    return null;
+  }
+
+  // Turns every due occurrence into a submitted expense routed like any other.
+  // Nobody is around to fix a blocking policy violation, so those occurrences are held as drafts instead.
+  async function generateRecurringExpenses() {
+    const users = getUsers();
+    const created = [];
+    for (const t of getRecurring().filter(x => x.active)) {
+      const owner = users.find(u => u.id === t.userId);
+      if (!owner) continue;
+      for (const date of recurringOccurrences(t)) {
+        const exp = newExpenseRecord({ type: EXPENSE_TYPES.STANDARD, amount: t.amount, currency: t.currency, category: t.category, description: t.description, date, recurringId: t.id }, owner);
+        const violations = await evaluatePolicy(exp, { hasReceipt: false });
+        const blocking = violations.filter(v => v.action === 'BLOCK');
+        if (blocking.length) {
+          recordHistory(exp, 'DRAFT', owner.id, 'recurring', `Generated from a recurring template; held as draft: ${blocking.map(v => v.message).join('; ')}`);
+        } else {
+          exp.policy = { checkedAt: nowIso(), violations };
+          recordHistory(exp, 'DRAFT', owner.id, 'recurring', `Generated from a recurring template (${FREQUENCY_LABELS[t.frequency].toLowerCase()})`);
+          await startApprovalRound(exp, owner);
+        }
+        // Another run (a second tab, or a refresh overlapping boot) may have claimed this occurrence while the
+        // checks above were awaited, so the stores are read again and each claim is saved as it is made
+        const current = getRecurring().find(x => x.id === t.id);
+        if (!current?.active || (current.lastGenerated && current.lastGenerated >= date)) break;
+        if (!getExpenses().some(e => e.recurringId === t.id && (e.date || '').slice(0, 10) === date)) { addExpense(exp); created.push(exp); }
+        setRecurring(getRecurring().map(x => x.id === t.id ? { ...x, lastGenerated: date } : x));
+      }
+    }
+    return created;
+  }
+
+
+  // ==========================
+  // Export (CSV, XLSX, Journal)
+  // ==========================
+  // Rows are arrays of cells with a header row first; XLSX is written by hand as a store-only zip.
+  // Journal lines debit each category's GL account (net of its tax rate) and credit the employee payable account.
+  const JOURNAL_ACCOUNTS = {
+    payable: { code: '2100', name: 'Employee reimbursements payable' },
+    inputTax: { code: '1400', name: 'Input tax recoverable' },
+  };
+  const DECISION_LABELS = { APPROVE: 'approved', REJECT: 'rejected', REQUEST_CHANGES: 'requested changes' };
+
+  // Text starting with = + - @ (or a tab/CR) would run as a formula in a spreadsheet, so it is quoted with a leading '
+  function csvCell(v) {
+    let str = v === null || v === undefined ? '' : String(v);
+    if (typeof v === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+  const toCsv = (rows) => '\ufeff' + rows.map(r => r.map(csvCell).join(',')).join('\r\n');
+
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1; return c >>> 0; });
+  function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // files: [{ name, text }] → zip bytes without compression
+  function zipStore(files) {
+    const enc = new TextEncoder();
+    const entries = files.map(f => ({ name: enc.encode(f.name), data: enc.encode(f.text) })).map(f => ({ ...f, crc: crc32(f.data) }));
+    const size = entries.reduce((n, f) => n + 30 + f.name.length + f.data.length + 46 + f.name.length, 22);
+    const out = new Uint8Array(size); const view = new DataView(out.buffer);
+    let pos = 0; const offsets = [];
+    const header = (sig, f, central) => {
+      view.setUint32(pos, sig, true); pos += 4;
+      if (central) { view.setUint16(pos, 20, true); pos += 2; }
+      view.setUint16(pos, 20, true); view.setUint16(pos + 2, 0x0800, true); view.setUint16(pos + 4, 0, true); // version, UTF-8 names, stored
+      view.setUint16(pos + 6, 0, true); view.setUint16(pos + 8, 0x21, true); // 1980-01-01 00:00
+      view.setUint32(pos + 10, f.crc, true); view.setUint32(pos + 14, f.data.length, true); view.setUint32(pos + 18, f.data.length, true);
+      view.setUint16(pos + 22, f.name.length, true); view.setUint16(pos + 24, 0, true); pos += 26;
+    };
+    entries.forEach(f => {
+      offsets.push(pos);
+      header(0x04034b50, f, false);
+      out.set(f.name, pos); pos += f.name.length;
+      out.set(f.data, pos); pos += f.data.length;
+    });
+    const dirStart = pos;
+    entries.forEach((f, i) => {
+      header(0x02014b50, f, true);
+      view.setUint16(pos, 0, true); view.setUint16(pos + 2, 0, true); view.setUint16(pos + 4, 0, true); // comment, disk, internal attrs
+      view.setUint32(pos + 6, 0, true); view.setUint32(pos + 10, offsets[i], true); pos += 14;
+      out.set(f.name, pos); pos += f.name.length;
+    });
+    view.setUint32(pos, 0x06054b50, true); view.setUint16(pos + 4, 0, true); view.setUint16(pos + 6, 0, true);
+    view.setUint16(pos + 8, entries.length, true); view.setUint16(pos + 10, entries.length, true);
+    view.setUint32(pos + 12, pos - dirStart, true); view.setUint32(pos + 16, dirStart, true); view.setUint16(pos + 20, 0, true);
+    return out;
+  }
+
+  const xmlText = (v) => String(v).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const columnName = (i) => (i >= 26 ? columnName(Math.floor(i / 26) - 1) : '') + String.fromCharCode(65 + (i % 26));
+
+  function xlsxWorkbook(rows, sheetName = 'Sheet1') {
+    const cells = rows.map((r, y) => `<row r="${y + 1}">${r.map((v, x) => {
+      const ref = `${columnName(x)}${y + 1}`;
+      if (typeof v === 'number' && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+      return v === null || v === undefined || v === '' ? '' : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlText(v)}</t></is></c>`;
+    }).join('')}</row>`).join('');
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const ns = 'http://schemas.openxmlformats.org';
+    return zipStore([
+      { name: '[Content_Types].xml', text: `${xml}<Types xmlns="${ns}/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>` },
+      { name: '_rels/.rels', text: `${xml}<Relationships xmlns="${ns}/package/2006/relationships"><Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+      { name: 'xl/workbook.xml', text: `${xml}<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets><sheet name="${xmlText(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>` },
+      { name: 'xl/_rels/workbook.xml.rels', text: `${xml}<Relationships xmlns="${ns}/package/2006/relationships"><Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>` },
+      { name: 'xl/worksheets/sheet1.xml', text: `${xml}<worksheet xmlns="${ns}/spreadsheetml/2006/main"><sheetData>${cells}</sheetData></worksheet>` },
+    ]);
+  }
+
+  function downloadFile(name, data, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const a = document.createElement('a');
+    a.href = url; a.download = name;
+    document.body.append(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function approverTrail(expense, users = getUsers()) {
+    const name = (id) => users.find(u => u.id === id)?.name || id;
+    const decisions = (expense.approvals?.steps || []).flatMap(step => step.approvals.map(a =>
+      `${step.role}: ${name(a.userId)}${a.onBehalfOf ? ` for ${name(a.onBehalfOf)}` : ''} ${DECISION_LABELS[a.decision] || a.decision} ${a.at.slice(0, 10)}${a.comment ? ` ("${a.comment}")` : ''}`));
+    const overrides = (expense.history || []).filter(h => h.rule === 'admin-override').map(h => `ADMIN: ${name(h.by)} ${h.status.toLowerCase()} ${h.at.slice(0, 10)}`);
+    return [...decisions, ...overrides].join(' | ');
+  }
+
+  async function expenseExportRows(expenses) {
+    const ccy = getCompany()?.currencyCode;
+    const users = getUsers();
+    const rates = await bookingRates(expenses, ccy, 'export');
+    const rows = [['Date', 'Employee', 'Email', 'Type', 'Category', 'GL code', 'Description', 'Amount', 'Currency', 'Rate', `Amount (${ccy})`, 'Status', 'Approver trail', 'Report', 'Paid on', 'Payment reference']];
+    for (const e of expenses) {
+      const emp = users.find(u => u.id === e.userId);
+      const rate = rates.get(e.currency);
+      const lines = expenseLines(e);
+      rows.push([
+        (e.date || '').slice(0, 10), emp?.name || '', emp?.email || '', e.type || EXPENSE_TYPES.STANDARD,
+        lines.length > 1 ? lines.map(l => `${categoryLabel(l.category)} ${l.amount.toFixed(2)}`).join('; ') : categoryLabel(e.category),
+        [...new Set(lines.map(l => categoryById(l.category)?.glCode || ''))].join('; '),
+        e.description || '', round2(e.amount), e.currency, rate, round2(e.amount * rate), e.status,
+        approverTrail(e, users), e.reportId ? reportOf(e)?.title || '' : '', e.payment?.paidAt || '', e.payment?.reference || '',
+      ]);
+    }
+    return rows;
+  }
+
+  // Approved expenses only: one entry per expense, balanced in company currency
+  async function journalRows(expenses) {
+    const ccy = getCompany()?.currencyCode;
+    const users = getUsers();
+    const approved = expenses.filter(x => APPROVED_STATUSES.includes(x.status));
+    const rates = await bookingRates(approved, ccy, 'export');
+    const rows = [['Date', 'Entry', 'Account', 'Account name', 'Debit', 'Credit', 'Currency', 'Memo', 'Employee']];
+    for (const e of approved) {
+      const emp = users.find(u => u.id === e.userId)?.name || '';
+      const date = (e.history || []).slice().reverse().find(h => h.status === 'APPROVED')?.at?.slice(0, 10) || (e.date || '').slice(0, 10);
+      const entry = `EXP-${e.id.slice(0, 8)}`;
+      const rate = rates.get(e.currency);
+      const memo = `${e.description || ''}${e.currency !== ccy ? ` (${e.amount.toFixed(2)} ${e.currency} @ ${rate})` : ''}`;
+      const lines = expenseLines(e).map(l => {
+        const cat = categoryById(l.category);
+        const gross = round2(l.amount * rate);
+        const tax = cat?.taxRate ? round2(gross - gross / (1 + cat.taxRate / 100)) : 0;
+        return { cat, gross, tax };
+      });
+      // Rounding per line can drift a cent from the total; the payable credit is the sum of the debits so the entry balances
+      let credit = 0;
+      lines.forEach(({ cat, gross, tax }) => {
+        rows.push([date, entry, cat?.glCode || '', cat?.name || '', round2(gross - tax), '', ccy, memo, emp]);
+        if (tax) rows.push([date, entry, JOURNAL_ACCOUNTS.inputTax.code, `${JOURNAL_ACCOUNTS.inputTax.name} (${cat.taxRate}%)`, tax, '', ccy, memo, emp]);
+        credit += gross;
+      });
+      rows.push([date, entry, JOURNAL_ACCOUNTS.payable.code, JOURNAL_ACCOUNTS.payable.name, '', round2(credit), ccy, memo, emp]);
+    }
+    return rows;
+  }
+
+  // ==========================
+  // Spend Analytics
+  // ==========================
+  // Computed over listExpensesFor(user), so analytics never reveal more than the expenses table would.
+  // Spend counts approved expenses (scheduled and paid too), or optionally those still in approval.
+  const ANALYTICS_SCOPES = { approved: APPROVED_STATUSES, submitted: [...APPROVED_STATUSES, 'PENDING', 'CHANGES_REQUESTED'] };
+
+  // Managers heading a team the user may look at; a team is the manager plus their whole reporting subtree
+  function analyticsTeams(user, users = getUsers()) {
+    const managers = users.filter(m => users.some(u => u.managerId === m.id));
+    if ([ROLES.ADMIN, ROLES.FINANCE, ROLES.DIRECTOR].some(r => hasRole(user, r))) return managers;
+    const mine = new Set([user.id, ...reportIds(user.id, users)]);
+    return managers.filter(m => mine.has(m.id));
+  }
+
+  function monthsBetween(from, to) {
+    const out = [];
+    let [y, m] = from.split('-').map(Number);
+    const [ty, tm] = to.split('-').map(Number);
+    while (y < ty || (y === ty && m <= tm)) {
+      out.push(`${y}-${String(m).padStart(2, '0')}`);
+      if (++m > 12) { m = 1; y++; }
+    }
+    return out;
+  }
+
+  // Hours from the submission that opened the final approval round to the decision that closed it
+  function approvalTurnaroundHours(expense) {
+    const history = expense.history || [];
+    const end = history.findLastIndex(h => h.status === 'APPROVED' || h.status === 'REJECTED');
+    if (end < 0) return null;
+    const start = history.slice(0, end).findLast(h => h.status === 'PENDING' && ['routing', 'report'].includes(h.rule));
+    return start ? (Date.parse(history[end].at) - Date.parse(start.at)) / 3600000 : null;
+  }
+
+  // Every decision on the expense, including rounds closed before a resubmission
+  const expenseDecisions = (expense) => [...(expense.history || []).filter(h => h.round).flatMap(h => h.round.steps), ...(expense.approvals?.steps || [])]
+    .flatMap(step => step.approvals || []);
+
+  function approverStats(expenses, users = getUsers()) {
+    const stats = new Map();
+    expenses.flatMap(expenseDecisions).forEach(a => {
+      const s = stats.get(a.userId) || { userId: a.userId, decisions: 0, approved: 0, changes: 0, rejected: 0 };
+      s.decisions++;
+      if (a.decision === 'APPROVE') s.approved++; else if (a.decision === 'REJECT') s.rejected++; else s.changes++;
+      stats.set(a.userId, s);
+    });
+    return [...stats.values()]
+      .map(s => ({ ...s, name: users.find(u => u.id === s.userId)?.name || s.userId, rejectionRate: s.rejected / s.decisions }))
+      .sort((a, b) => b.decisions - a.decisions);
+  }
+
+  // filters: { from, to } as YYYY-MM-DD, teamId (a manager id, blank for everyone visible), scope (ANALYTICS_SCOPES key)
+  async function computeAnalytics(user, { from, to, teamId, scope }) {
+    const ccy = getCompany()?.currencyCode;
+    const users = getUsers();
+    const team = teamId ? new Set([teamId, ...reportIds(teamId, users)]) : null;
+    const inView = listExpensesFor(user).filter(e => {
+      const day = (e.date || '').slice(0, 10);
+      return e.status !== 'DRAFT' && (!team || team.has(e.userId)) && (!from || day >= from) && (!to || day <= to);
+    });
+    const statuses = ANALYTICS_SCOPES[scope] || ANALYTICS_SCOPES.approved;
+    const spent = inView.filter(e => statuses.includes(e.status));
+    const months = new Map(from && to ? monthsBetween(from.slice(0, 7), to.slice(0, 7)).map(m => [m, 0]) : []);
+    const categories = new Map(), spenders = new Map();
+    const add = (map, key, amount) => map.set(key, (map.get(key) || 0) + amount);
+    let total = 0;
+    for (const e of spent) {
+      // Split expenses count each line under its own category
+      for (const line of expenseLines(e)) {
+        const amount = await convert(+line.amount || 0, e.currency, ccy || e.currency);
+        total += amount;
+        add(months, e.date.slice(0, 7), amount);
+        add(categories, line.category, amount);
+        add(spenders, e.userId, amount);
+      }
+    }
+    const concluded = inView.filter(e => APPROVED_STATUSES.includes(e.status) || e.status === 'REJECTED');
+    const turnarounds = concluded.map(approvalTurnaroundHours).filter(h => h !== null);
+    const ranked = (map, label) => [...map].map(([key, value]) => ({ key, label: label(key), value: round2(value) })).sort((a, b) => b.value - a.value);
+    return {
+      currency: ccy,
+      total: round2(total),
+      count: spent.length,
+      months: [...months].sort(([a], [b]) => a.localeCompare(b)).map(([key, value]) => ({ key, label: key, value: round2(value) })),
+      categories: ranked(categories, categoryLabel),
+      spenders: ranked(spenders, id => users.find(u => u.id === id)?.name || id).slice(0, 10),
+      turnaroundHours: turnarounds.length ? turnarounds.reduce((sum, h) => sum + h, 0) / turnarounds.length : null,
+      rejectionRate: concluded.length ? concluded.filter(e => e.status === 'REJECTED').length / concluded.length : null,
+      approvers: approverStats(inView, users),
+    };
+  }
+
+  // ==========================
+  // CSV Import
+  // ==========================
+  // A file is parsed, its columns mapped onto IMPORT_FIELDS, every row checked in a dry run, and only the rows
+  // that passed are committed, through upsertUser and the same submission checks the expense modal runs.
+  const IMPORT_FIELDS = {
+    users: [
+      { key: 'name', label: 'Name', required: true, aliases: ['full name'] },
+      { key: 'email', label: 'Email', required: true, aliases: ['e-mail', 'email address'] },
+      { key: 'roles', label: 'Roles', required: true, aliases: ['role'] },
+      { key: 'manager', label: 'Manager email', aliases: ['manager', 'manager e-mail'] },
+    ],
+    expenses: [
+      { key: 'date', label: 'Date', required: true, aliases: ['expense date'] },
+      { key: 'amount', label: 'Amount', required: true, aliases: ['total'] },
+      { key: 'currency', label: 'Currency', aliases: ['ccy'] },
+      { key: 'category', label: 'Category', required: true, aliases: [] },
+      { key: 'description', label: 'Description', required: true, aliases: ['memo', 'note'] },
+    ],
+  };
+
+  // RFC 4180 style: quoted cells may hold separators, quotes ("") and line breaks. Semicolon files are detected from the header.
+  function parseCsv(text) {
+    text = text.replace(/^\ufeff/, '');
+    const header = text.split(/\r?\n/, 1)[0];
+    const sep = (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+    const rows = []; let row = []; let cell = ''; let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch !== '"') cell += ch;
+        else if (text[i + 1] === '"') { cell += '"'; i++; } else quoted = false;
+      } else if (ch === '"') quoted = true;
+      else if (ch === sep) { row.push(cell); cell = ''; }
+      else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell); rows.push(row); row = []; cell = '';
+      } else cell += ch;
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim()));
+  }
+
+  // field key → header index (-1 when unmapped), guessed from the header names
+  function guessImportMapping(kind, headers) {
+    const norm = (v) => v.toLowerCase().replace(/[^a-z]/g, '');
+    return Object.fromEntries(IMPORT_FIELDS[kind].map(f => [f.key, headers.findIndex(h => [f.key, f.label, ...f.aliases].map(norm).includes(norm(h)))]));
+  }
+
+  const mapImportRows = (rows, mapping) => rows.map(r => Object.fromEntries(Object.entries(mapping).map(([key, idx]) => [key, idx >= 0 ? (r[idx] || '').trim() : ''])));
+
+  // Rows come back as { line, values, errors, warnings }; line is the spreadsheet row number (header is line 1)
+  function validateUserImport(records, users = getUsers()) {
+    const roles = getAllRoles();
+    const known = new Set(users.map(u => u.email.toLowerCase()));
+    const inFile = records.map(r => r.email.toLowerCase());
+    const rows = records.map((r, i) => {
+      const errors = [];
+      const email = r.email.toLowerCase();
+      const manager = r.manager.toLowerCase();
+      const rowRoles = [...new Set(r.roles.split(/[;|,]/).map(x => x.trim().toUpperCase()).filter(Boolean))];
+      if (!r.name) errors.push('Name is missing');
+      if (!/^[^\s@]+@[^\s@]+$/.test(r.email)) errors.push('Invalid email');
+      else if (known.has(email)) errors.push('Email already exists');
+      else if (inFile.indexOf(email) !== i) errors.push('Email repeated in this file');
+      if (!rowRoles.length) errors.push('No roles given');
+      const unknown = rowRoles.filter(x => !roles.includes(x));
+      if (unknown.length) errors.push(`Unknown role: ${unknown.join(', ')}`);
+      if (manager && manager === email) errors.push('Cannot be their own manager');
+      else if (manager && !known.has(manager) && !inFile.includes(manager)) errors.push(`Unknown manager ${r.manager}`);
+      return { line: i + 2, values: { name: r.name, email: r.email, roles: rowRoles, manager }, errors, warnings: [] };
+    });
+    // A manager introduced by this file must be importable too
+    rows.forEach(row => {
+      const managerRow = row.values.manager && !known.has(row.values.manager) && rows.find(x => x.values.email.toLowerCase() === row.values.manager);
+      if (managerRow && managerRow.errors.length && !row.errors.length) row.errors.push(`Manager's row (line ${managerRow.line}) has errors`);
+    });
+    return rows;
+  }
+
+  async function commitUserImport(rows) {
+    // A copy: password hashing is awaited per row
+    const list = structuredClone(getUsers());
+    const created = [], failed = [];
+    for (const row of rows.filter(r => !r.errors.length)) {
+      const { name, email, roles } = row.values;
+      try { created.push({ row, user: await upsertUser({ name, email, roles }, list) }); } catch (err) { failed.push({ line: row.line, error: err.message }); }
+    }
+    // Managers are linked once everyone exists, so a row may name a manager further down the file
+    for (const { row, user } of created.filter(c => c.row.values.manager)) {
+      const manager = list.find(u => u.email.toLowerCase() === row.values.manager);
+      try { await upsertUser({ ...user, managerId: manager?.id || '?' }, list); } catch (err) { failed.push({ line: row.line, error: `Added without a manager: ${err.message}` }); }
+    }
+    setUsers(list);
+    return { created: created.length, failed };
+  }
+
+  function importDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const d = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value ? value : null;
+  }
+
+  // Plain numbers with a dot for decimals; comma thousands separators are allowed, anything ambiguous is rejected
+  function importAmount(value) {
+    const v = value.replace(/[\s$€£¥₹]/g, '');
+    if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(v)) return round2(parseFloat(v.replace(/,/g, '')));
+    return /^\d+(\.\d+)?$/.test(v) ? round2(parseFloat(v)) : NaN;
+  }
+
+  // Blocking policy violations fail a row that would be submitted; drafts only carry them as warnings
+  async function validateExpenseImport(records, user, { draft = false } = {}) {
+    const company = getCompany()?.currencyCode;
+    const categories = activeCategories();
+    const rows = [];
+    for (const [i, r] of records.entries()) {
+      const errors = [], warnings = [];
+      const date = importDate(r.date);
+      const amount = importAmount(r.amount);
+      const currency = (r.currency || company || '').toUpperCase();
+      const category = categories.find(c => [c.id, c.name].some(v => v.toLowerCase() === r.category.toLowerCase()));
+      if (!date) errors.push('Date must be YYYY-MM-DD');
+      if (!(amount > 0)) errors.push('Amount must be a positive number like 1234.50');
+      if (!/^[A-Z]{3}$/.test(currency)) errors.push('Currency must be a 3-letter code');
+      if (!category) errors.push(`Unknown category ${r.category || '(blank)'}`);
+      if (!r.description) errors.push('Description is missing');
+      const values = { type: EXPENSE_TYPES.STANDARD, amount, currency, category: category?.id, description: r.description, date };
+      if (!errors.length) {
+        const checks = await submissionChecks({ ...values, userId: user.id }, { hasReceipt: false });
+        checks.violations.forEach(v => (v.action === 'BLOCK' && !draft ? errors : warnings).push(v.message));
+        checks.duplicates.forEach(d => warnings.push(`Possible duplicate of ${d.expense.description || categoryLabel(d.expense.category)} on ${fmtDate(d.expense.date)}`));
+        (await budgetImpact({ ...values, userId: user.id })).filter(x => x.over).forEach(x => warnings.push(budgetImpactLabel(x)));
+      }
+      rows.push({ line: i + 2, values, errors, warnings });
+    }
+    return rows;
+  }
+
+  // Checks run again per row so rows earlier in the same file count for limits and duplicates
+  async function commitExpenseImport(rows, user, { draft = false } = {}) {
+    let created = 0; const failed = [];
+    for (const row of rows.filter(r => !r.errors.length)) {
+      const exp = newExpenseRecord(row.values, user);
+      recordHistory(exp, 'DRAFT', user.id, 'import', 'Imported from CSV');
+      if (!draft) {
+        const checks = await submissionChecks(exp, { hasReceipt: false });
+        if (checks.blocking.length) { failed.push({ line: row.line, error: checks.blocking.map(v => v.message).join('; ') }); continue; }
+        applySubmissionChecks(exp, checks);
+        await startApprovalRound(exp, user);
+      }
+      addExpense(exp);
+      created++;
+    }
+    return { created, failed };
+  }
+
+  // ==========================
+  // Schema Migrations, Backup & Restore
+  // ==========================
+  // The stored schema version says which MIGRATIONS have run. Each one upgrades the plain data object
+  // ({ users, expenses, ... } keyed like KEYS), so a backup written by an older version is upgraded the same way.
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Expenses carry history, approvals and receipt objects; users carry a roles list',
+      up(data) {
+        (data.expenses || []).forEach(e => {
+          if (!Array.isArray(e.history)) e.history = [];
+          if (!e.receipt || typeof e.receipt !== 'object') e.receipt = { fileName: typeof e.receipt === 'string' ? e.receipt : '', text: '' };
+          const a = e.approvals || {};
+          e.approvals = { ...a, stepIndex: a.stepIndex || 0, steps: (a.steps || []).map(st => typeof st === 'string' ? { role: st, approvals: [] } : { ...st, approvals: st.approvals || [] }) };
+          e.createdAt ||= e.date || nowIso();
+        });
+        (data.users || []).forEach(u => {
+          if (!Array.isArray(u.roles)) u.roles = u.role ? [u.role] : [ROLES.EMPLOYEE];
+          delete u.role;
+          u.managerId ||= '';
+        });
+      },
+    },
+    {
+      version: 2,
+      description: 'Expenses are typed, and every category they use has a category record',
+      up(data) {
+        (data.expenses || []).forEach(e => { e.type ||= EXPENSE_TYPES.STANDARD; });
+        const categories = data.categories || DEFAULT_CATEGORIES.map(c => ({ ...c }));
+        const used = new Set((data.expenses || []).flatMap(e => expenseCategories(e)).filter(Boolean));
+        const missing = [...used].filter(id => !categories.some(c => c.id === id));
+        // Free-text categories from before admin-managed categories become archived records so they keep their names
+        if (missing.length) data.categories = [...categories, ...missing.map(id => ({ id, name: id, glCode: '', taxRate: null, icon: 'fa-receipt', archived: true }))];
+      },
+    },
+  ];
+  const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+  const BACKUP_FORMAT = 'ems-backup';
+  // Everything except the signed-in session travels in a backup
+  const BACKUP_STORES = Object.keys(KEYS).filter(k => !['session', 'schema'].includes(k));
+  // Stores holding records with an id; a merge adds or updates records one by one
+  const RECORD_STORES = ['users', 'expenses', 'budgets', 'reports', 'advances', 'recurring', 'categories'];
+
+  function readStores() { return Object.fromEntries(BACKUP_STORES.map(name => [name, Storage.get(KEYS[name])])); }
+
+  function migrateData(data, fromVersion) {
+    const pending = MIGRATIONS.filter(m => m.version > fromVersion);
+    pending.forEach(m => m.up(data));
+    return pending;
+  }
+
+  // Runs on boot before anything reads the stores
+  function runMigrations() {
+    const from = Storage.get(KEYS.schema, 0);
+    if (from >= SCHEMA_VERSION) return [];
+    const data = readStores();
+    const applied = migrateData(data, from);
+    BACKUP_STORES.forEach(name => { if (data[name] !== null && data[name] !== undefined) Storage.set(KEYS[name], data[name]); });
+    Storage.set(KEYS.schema, SCHEMA_VERSION);
+    return applied;
+  }
+
+  function buildBackup() {
+    return { format: BACKUP_FORMAT, schemaVersion: SCHEMA_VERSION, exportedAt: nowIso(), company: getCompany()?.name || '', data: readStores() };
+  }
+
+  // Throws on a file this version cannot restore; returns the data upgraded to the current schema
+  function validateBackup(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.data !== 'object' || !backup.data) throw new Error('This is not an expense manager backup file');
+    const version = backup.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) throw new Error('The backup has no schema version');
+    if (version > SCHEMA_VERSION) throw new Error(`The backup was made by a newer version (schema ${version}); this app understands up to ${SCHEMA_VERSION}`);
+    const data = JSON.parse(JSON.stringify(backup.data));
+    for (const name of RECORD_STORES) {
+      const list = data[name];
+      if (list === null || list === undefined) continue;
+      if (!Array.isArray(list) || list.some(r => !r || typeof r !== 'object' || !r.id)) throw new Error(`"${name}" must be a list of records with ids`);
+    }
+    if (data.roles && !Array.isArray(data.roles)) throw new Error('"roles" must be a list');
+    ['company', 'rules', 'policy', 'allowances'].forEach(name => {
+      if (data[name] !== null && data[name] !== undefined && (typeof data[name] !== 'object' || Array.isArray(data[name]))) throw new Error(`"${name}" must be an object`);
+    });
+    if (!data.users?.length) throw new Error('The backup has no users');
+    migrateData(data, version);
+    return data;
+  }
+
+  // Latest time a record was touched: its newest history entry, else its own timestamps
+  const recordChangedAt = (rec) => [rec.updatedAt, rec.createdAt, ...(rec.history || []).map(h => h.at)].filter(Boolean).sort().at(-1) || '';
+
+  // replace: the backup becomes the whole state. merge: missing records are added; when both sides have an id, the more
+  // recently changed copy wins (the local one on a tie) so an old backup cannot roll back later decisions. Settings already
+  // here are kept. Returns { summary: records written per store, kept: conflicting records where the local copy was kept }.
+  function restoreBackup(data, mode) {
+    const summary = {}, kept = {};
+    if (mode === 'replace') {
+      if (!data.users.some(u => (u.roles || []).includes(ROLES.ADMIN))) throw new Error('The backup has no admin user; replacing would lock everyone out');
+      BACKUP_STORES.forEach(name => {
+        if (data[name] === null || data[name] === undefined) Storage.remove(KEYS[name]); else Storage.set(KEYS[name], data[name]);
+        if (Array.isArray(data[name])) summary[name] = data[name].length;
+      });
+    } else {
+      RECORD_STORES.forEach(name => {
+        if (!data[name]?.length) return;
+        const current = Storage.get(KEYS[name]) || (name === 'categories' ? getCategories() : []);
+        let count = 0;
+        data[name].forEach(rec => {
+          // A different user with the same email would make sign-in ambiguous
+          if (name === 'users' && current.some(u => u.id !== rec.id && u.email.toLowerCase() === rec.email.toLowerCase())) return;
+          const idx = current.findIndex(x => x.id === rec.id);
+          if (idx < 0) { current.push(rec); count++; return; }
+          if (JSON.stringify(current[idx]) === JSON.stringify(rec)) return;
+          if (recordChangedAt(rec) > recordChangedAt(current[idx])) { current[idx] = rec; count++; } else kept[name] = (kept[name] || 0) + 1;
+        });
+        Storage.set(KEYS[name], current);
+        if (count) summary[name] = count;
+      });
+      if (data.roles?.length) Storage.set(KEYS.roles, [...new Set([...(Storage.get(KEYS.roles) || []), ...data.roles])]);
+      ['company', 'rules', 'policy', 'allowances'].forEach(name => { if (data[name] && !Storage.get(KEYS[name])) Storage.set(KEYS[name], data[name]); });
+    }
+    Storage.set(KEYS.schema, SCHEMA_VERSION);
+    return { summary, kept };
+  }
+
+  // ==========================
+  // Receipt OCR
+  // ==========================
+  // Text is recognized fully offline by the Tesseract build shipped in js/vendor/tesseract/ (worker, LSTM core and
+  // English model), with the browser's built-in TextDetector as a fallback. Nothing is sent to a server.
+  const OCR_VENDOR = 'js/vendor/tesseract/';
+  const OCR_SYMBOLS = { '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY', '$': 'USD' };
+  const OCR_AMBIGUOUS_SYMBOLS = ['$', '¥'];
+  const OCR_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+  function loadScript(src) {
+    return new Promise((resolve, reject) => {
+      if ($(`script[src="${src}"]`)) return resolve();
+      const el = document.createElement('script');
+      el.src = src; el.async = true;
+      el.onload = () => resolve();
+      el.onerror = () => { el.remove(); reject(new Error(`Could not load ${src}`)); };
+      document.head.appendChild(el);
+    });
+  }
+
+  // Grayscale + contrast stretch; noticeably improves recognition on phone photos
+  async function preprocessReceiptImage(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, 2000 / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale); canvas.height = Math.round(bitmap.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const px = img.data;
+    let min = 255, max = 0;
+    for (let i = 0; i < px.length; i += 4) {
+      const g = Math.round(px[i] * 0.299 + px[i + 1] * 0.587 + px[i + 2] * 0.114);
+      px[i] = g; if (g < min) min = g; if (g > max) max = g;
+    }
+    const range = Math.max(1, max - min);
+    for (let i = 0; i < px.length; i += 4) { const v = Math.round(((px[i] - min) / range) * 255); px[i] = px[i + 1] = px[i + 2] = v; }
+    ctx.putImageData(img, 0, 0);
+    return { canvas, bitmap };
+  }
+
+  const OcrEngines = {
+    async tesseract(canvas) {
+      if (!window.Tesseract) await loadScript(OCR_VENDOR + 'tesseract.min.js');
+      const worker = await window.Tesseract.createWorker('eng', 1, {
+        workerPath: OCR_VENDOR + 'worker.min.js', corePath: OCR_VENDOR + 'core', langPath: OCR_VENDOR + 'lang', gzip: true,
+      });
+      try {
+        const { data } = await worker.recognize(canvas);
+        return { engine: 'tesseract', text: data.text || '', confidence: (data.confidence ?? 0) / 100 };
+      } finally { await worker.terminate(); }
+    },
+    async textDetector(canvas, bitmap) {
+      if (!('TextDetector' in window)) throw new Error('TextDetector not supported');
+      const blocks = await new window.TextDetector().detect(bitmap);
+      const text = blocks.slice().sort((a, b) => a.boundingBox.top - b.boundingBox.top || a.boundingBox.left - b.boundingBox.left)
+        .map(b => b.rawValue).join('\n');
+      return { engine: 'text-detector', text, confidence: 0.8 };
+    },
+  };
+
+  async function recognizeReceipt(file) {
+    if (!file || !file.type.startsWith('image/')) throw new Error('Receipt OCR needs an image file');
+    const { canvas, bitmap } = await preprocessReceiptImage(file);
+    const failures = [];
+    for (const name of ['tesseract', 'textDetector']) {
+      try {
+        const out = await OcrEngines[name](canvas, bitmap);
+        if (out.text.trim()) return out;
+        failures.push(`${name}: no text found`);
+      } catch (e) { failures.push(`${name}: ${e.message}`); }
+    }
+    throw new Error('No offline OCR engine could read this receipt (' + failures.join('; ') + ')');
+  }
+
+  // "1.234,56" and "1,234.56" both become 1234.56; the last separator followed by 1-2 digits is the decimal mark
+  function parseAmountToken(raw) {
+    const s = raw.replace(/[\s']/g, '');
+    const m = s.match(/^(.*?)[.,](\d{1,2})$/);
+    const num = m ? parseFloat(m[1].replace(/[.,]/g, '') + '.' + m[2]) : parseFloat(s.replace(/[.,]/g, ''));
+    return Number.isFinite(num) ? num : null;
+  }
+
+  function extractTotal(lines, ocrConf) {
+    const moneyRe = /(?:[A-Z]{3}\s?)?[$€£¥₹]?\s?(\d{1,3}(?:[.,' ]\d{3})*(?:[.,]\d{1,2})|\d+(?:[.,]\d{1,2})?)\b/g;
+    const keywords = [
+      [/grand\s*total|total\s*(?:due|paid|amount)|amount\s*due|balance\s*due/i, 0.95],
+      [/\btotal\b/i, 0.85],
+      [/\b(?:amount|sum|paid|card|cash)\b/i, 0.6],
+    ];
+    let best = null;
+    lines.forEach((line, idx) => {
+      if (/sub\s*-?\s*total|\btax\b|\bvat\b|change|tip/i.test(line)) return;
+      const kw = keywords.find(([re]) => re.test(line));
+      if (!kw) return;
+      const nums = Array.from(line.matchAll(moneyRe)).map(m => parseAmountToken(m[1])).filter(n => n != null && n > 0);
+      if (!nums.length) return;
+      // Later "total" lines win ties: receipts list subtotals above the final figure
+      const conf = kw[1] + idx / lines.length / 100;
+      if (!best || conf >= best.confidence) best = { value: nums[nums.length - 1], confidence: conf };
+    });
+    if (!best) {
+      const all = lines.flatMap(l => Array.from(l.matchAll(moneyRe)).map(m => /[.,]\d{2}\b/.test(m[0]) ? parseAmountToken(m[1]) : null)).filter(n => n != null && n > 0);
+      if (all.length) best = { value: Math.max(...all), confidence: 0.4 };
+    }
+    if (!best) return null;
+    return { value: Math.round(best.value * 100) / 100, confidence: +(Math.min(best.confidence, 1) * ocrConf).toFixed(2) };
+  }
+
+  function extractCurrency(text, knownCodes, ocrConf) {
+    const codes = Array.from(text.toUpperCase().matchAll(/\b([A-Z]{3})\b/g)).map(m => m[1]).filter(c => knownCodes.includes(c));
+    if (codes.length) return { value: codes[0], confidence: +(0.95 * ocrConf).toFixed(2) };
+    for (const [sym, code] of Object.entries(OCR_SYMBOLS)) {
+      if (text.includes(sym)) return { value: code, confidence: +((OCR_AMBIGUOUS_SYMBOLS.includes(sym) ? 0.55 : 0.85) * ocrConf).toFixed(2) };
+    }
+    return null;
+  }
+
+  function extractDate(text, ocrConf) {
+    const candidates = [];
+    const push = (y, m, d, conf) => {
+      if (y < 100) y += 2000;
+      const dt = new Date(Date.UTC(y, m - 1, d));
+      if (dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return;
+      // Receipts are never from the future; penalize rather than drop in case the clock is off
+      if (dt.getTime() > Date.now() + 86400000) conf *= 0.3;
+      candidates.push({ value: dt.toISOString().slice(0, 10), confidence: conf });
+    };
+    for (const m of text.matchAll(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g)) push(+m[1], +m[2], +m[3], 0.9);
+    for (const m of text.matchAll(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/g)) {
+      const a = +m[1], b = +m[2], y = +m[3];
+      if (a > 12) push(y, b, a, 0.8);
+      else if (b > 12) push(y, a, b, 0.8);
+      else push(y, a, b, 0.5); // ambiguous day/month order; assume US style
+    }
+    const mon = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+    for (const m of text.matchAll(new RegExp(`\\b(\\d{1,2})\\s+${mon},?\\s+(\\d{2,4})\\b`, 'gi'))) push(+m[3], OCR_MONTHS.indexOf(m[2].toLowerCase()) + 1, +m[1], 0.85);
+    for (const m of text.matchAll(new RegExp(`\\b${mon}\\s+(\\d{1,2}),?\\s+(\\d{2,4})\\b`, 'gi'))) push(+m[3], OCR_MONTHS.indexOf(m[1].toLowerCase()) + 1, +m[2], 0.85);
+    if (!candidates.length) return null;
+    const best = candidates.sort((a, b) => b.confidence - a.confidence)[0];
+    return { value: best.value, confidence: +(best.confidence * ocrConf).toFixed(2) };
+  }
+
+  function extractMerchant(lines, ocrConf) {
+    const skip = /receipt|invoice|tax|vat|tel|phone|fax|date|time|www\.|https?:|@|order|table|cashier|welcome|thank/i;
+    for (let i = 0; i < Math.min(lines.length, 5); i++) {
+      const line = lines[i].replace(/[^\p{L}\p{N}&'.\- ]/gu, '').trim();
+      const letters = (line.match(/\p{L}/gu) || []).length;
+      if (line.length < 3 || skip.test(line) || letters < line.length * 0.6) continue;
+      return { value: line, confidence: +((i === 0 ? 0.75 : 0.6) * ocrConf).toFixed(2) };
+    }
+    return null;
+  }
+
+  function parseReceiptText(text, { knownCodes = [], ocrConfidence = 1 } = {}) {
+    const lines = text.split(/\r?\n/).map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const conf = clamp(ocrConfidence || 0, 0.1, 1);
+    return {
+      amount: extractTotal(lines, conf),
+      currency: extractCurrency(text, knownCodes, conf),
+      date: extractDate(text, conf),
+      merchant: extractMerchant(lines, conf),
+    };
+  }
+
+  // ==========================
+  // Receipt Attachments (IndexedDB)
+  // ==========================
+  // Files are far too large for localStorage, so the original image/PDF and its thumbnail live in
+  // IndexedDB keyed by expense id; the expense itself only carries the metadata.
+  const ATTACHMENTS_DB = 'ems_attachments';
+  const RECEIPT_MAX_BYTES = 5 * 1024 * 1024;
+  const RECEIPT_THUMB_PX = 240;
+
+  const Attachments = {
+    _db: null,
+    open() {
+      if (this._db) return this._db;
+      this._db = new Promise((resolve, reject) => {
+        const req = indexedDB.open(ATTACHMENTS_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('receipts', { keyPath: 'expenseId' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      return this._db;
+    },
+    async _run(mode, fn) {
+      const db = await this.open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction('receipts', mode);
+        const req = fn(tx.objectStore('receipts'));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+        // A full quota aborts the transaction without an error event
+        tx.onabort = () => reject(tx.error || new Error('Receipt storage was aborted (storage may be full)'));
+      });
+    },
+    put(rec) { return this._run('readwrite', s => s.put(rec)); },
+    get(expenseId) { return this._run('readonly', s => s.get(expenseId)); },
+    remove(expenseId) { return this._run('readwrite', s => s.delete(expenseId)); },
+    keys() { return this._run('readonly', s => s.getAllKeys()); },
+  };
+
+  function validateReceiptFile(file) {
+    if (!/^image\//.test(file.type) && file.type !== 'application/pdf') throw new Error('Receipts must be an image or a PDF');
+    if (file.size > RECEIPT_MAX_BYTES) throw new Error(`Receipt is too large (max ${RECEIPT_MAX_BYTES / 1024 / 1024} MB)`);
+  }
+
+  async function makeReceiptThumbnail(file) {
+    if (!file.type.startsWith('image/')) return null;
+    try {
+      const bitmap = await createImageBitmap(file);
+      const scale = Math.min(1, RECEIPT_THUMB_PX / Math.max(bitmap.width, bitmap.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(bitmap.width * scale); canvas.height = Math.round(bitmap.height * scale);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      return canvas.toDataURL('image/jpeg', 0.8);
+    } catch { return null; }
+  }
+
+  async function saveReceiptAttachment(expenseId, file) {
+    validateReceiptFile(file);
+    const thumb = await makeReceiptThumbnail(file);
+    await Attachments.put({ expenseId, fileName: file.name, type: file.type, size: file.size, blob: file, thumb, savedAt: nowIso() });
+    return { type: file.type, size: file.size, hasThumb: !!thumb };
+  }
+
+  // Drop attachments whose expense no longer exists (e.g. storage cleared or expense removed in another tab)
+  async function pruneAttachments() {
+    try {
+      const ids = new Set(getExpenses().map(e => e.id));
+      const keys = await Attachments.keys();
+      await Promise.all((keys || []).filter(k => !ids.has(k)).map(k => Attachments.remove(k)));
+    } catch { /* IndexedDB unavailable (private mode); nothing to prune */ }
+  }
+
+  function ocrSummary(receipt) {
+    const f = receipt?.ocr?.fields; if (!f) return '';
+    const part = (label, x) => x ? `${label}: ${x.value} (${Math.round(x.confidence * 100)}%)` : null;
+    return ['Auto-extracted', part('Total', f.amount), part('Currency', f.currency), part('Date', f.date), part('Merchant', f.merchant)].filter(Boolean).join(' · ');
+  }
+
+  // ==========================
+  // UI Rendering
+  // ==========================
+  function setActiveView(id) {
+    $$('.view').forEach(v => v.classList.add('hidden'));
+    $('#' + id).classList.remove('hidden');
+    $$('.nav-item').forEach(b => b.classList.toggle('active', b.dataset.view === id));
+  }
+
+  function applyRoleVisibility(user) {
+    $$('#sidebar [data-role]').forEach(el => {
+      const need = (el.dataset.role || '').split(',').map(s => s.trim()).filter(Boolean);
+      el.style.display = need.some(r => hasRole(user, r)) ? '' : 'none';
+    });
+    // New expense button
+    if ($('#new-expense-btn')) $('#new-expense-btn').style.display = canCurrentUserSubmitExpense(user) ? '' : 'none';
+    // Ensure Approvals nav is visible if user has any role used in current steps (or is admin)
+    const apprBtn = $(`#sidebar .nav-item[data-view="approvals-view"]`);
+    if (apprBtn) {
+      const stepRoles = allRouteRoles();
+      const userHasStepRole = stepRoles.some(r => hasRole(user, r));
+      if (userHasStepRole || hasRole(user, ROLES.ADMIN) || activeDelegators(user).length) apprBtn.style.display = '';
+    }
+  }
+
+  function setHeaderContext(user) {
+    const company = getCompany();
+    $('#company-badge').textContent = `${company?.name || '—'} · ${company?.currencyCode || ''}`;
+    $('#current-user').textContent = `${user.name} (${roleList(user).join(', ')})`;
+    const fresh = getUsers().find(u => u.id === user.id) || user;
+    $('#ooo-btn').classList.toggle('active', isDelegationActive(fresh));
+    $('#ooo-btn').title = fresh.delegation ? `Delegating to ${getUsers().find(u => u.id === fresh.delegation.delegateId)?.name || '-'} ${fresh.delegation.from} → ${fresh.delegation.to}` : 'Set an out-of-office delegate';
+  }
+
+  function openDelegationModal() {
+    const me = getUsers().find(u => u.id === currentUser()?.id); if (!me) return;
+    $('#ooo-delegate').innerHTML = `<option value="">— Choose —</option>` + getUsers().filter(u => u.id !== me.id).map(u => `<option value="${u.id}">${u.name} (${roleList(u).join(', ')})</option>`).join('');
+    $('#ooo-delegate').value = me.delegation?.delegateId || '';
+    $('#ooo-from').value = me.delegation?.from || todayStr();
+    $('#ooo-to').value = me.delegation?.to || todayStr();
+    $('#ooo-clear').classList.toggle('hidden', !me.delegation);
+    const incoming = activeDelegators(me);
+    $('#ooo-incoming').innerHTML = incoming.length ? `You are currently covering for: ${incoming.map(u => `<span class="chip">${u.name} until ${u.delegation.to}</span>`).join(' ')}` : '';
+    openModal('delegation-modal');
+  }
+
+  function refreshAfterDelegationChange() {
+    const user = currentUser();
+    setHeaderContext(user); applyRoleVisibility(user);
+    renderApprovalsView(user); renderDashboard(user); renderUsersView();
+  }
+
+  function cardEl(title, value, icon) {
+    const el = document.createElement('div');
+    el.className = 'card';
+    el.innerHTML = `<h4>${title}</h4><div class="value"><i class="fa-solid ${icon}"></i> ${value}</div>`;
+    return el;
+  }
+
+  async function renderDashboard(user) {
+    const wrap = $('#dashboard-cards');
+    wrap.innerHTML = '';
+    const all = listExpensesFor(user);
+    const pendingMine = all.filter(e => e.userId === user.id && e.status === 'PENDING').length;
+    const myTotal = all.filter(e => e.userId === user.id).length;
+    const companyAll = hasRole(user, ROLES.ADMIN) ? getExpenses().length : all.length;
+    const pendingToApprove = listApprovableFor(user).length + listApprovableReportsFor(user).length;
+
+    wrap.append(
+      cardEl('My Pending Expenses', pendingMine, 'fa-hourglass-half'),
+      cardEl('My Expenses', myTotal, 'fa-file-invoice-dollar'),
+      cardEl('Pending to Approve', pendingToApprove, 'fa-check-double'),
+      cardEl('Total Visible Expenses', companyAll, 'fa-list')
+    );
+    if (slaConfig().enabled) wrap.append(cardEl('Overdue Approvals', overdueApprovalsFor(user).length, 'fa-stopwatch'));
+    const balance = await employeeBalance(user.id);
+    if (balance.approved || balance.scheduled || balance.advance) {
+      const ccy = getCompany()?.currencyCode;
+      const card = cardEl(balance.net >= 0 ? 'Owed to Me' : 'Advance to Settle', moneyFmt(Math.abs(balance.net), ccy), 'fa-wallet');
+      card.insertAdjacentHTML('beforeend', `<div class="muted small">${moneyFmt(balance.approved + balance.scheduled, ccy)} approved unpaid${balance.scheduled ? ` (${moneyFmt(balance.scheduled, ccy)} scheduled)` : ''} · ${moneyFmt(balance.advance, ccy)} advance outstanding</div>`);
+      wrap.append(card);
+    }
+
+    // Recent activity
+    const act = $('#recent-activity');
+    const recent = getExpenses().slice(0, 6);
+    act.innerHTML = recent.map(e => {
+      const u = getUsers().find(x => x.id === e.userId);
+      return `<div class="activity-item">
+        <span class="badge">${e.status}</span>
+        <span>${fmtDate(e.date)} - ${u?.name || 'Unknown'} - ${categoryLabel(e.category)}: ${e.description}</span>
+      </div>`;
+    }).join('');
+  }
+
+  // Inline SVG, so the charts need no library or CDN
+  function columnChartSvg(points, ccy) {
+    if (!points.some(p => p.value)) return '<p class="muted">No spend in this range.</p>';
+    const W = 640, H = 220, top = 20, bottom = 28;
+    const max = Math.max(...points.map(p => p.value));
+    const slot = W / points.length, barW = Math.max(4, slot * 0.7);
+    const bars = points.map((p, i) => {
+      const h = (p.value / max) * (H - top - bottom), x = i * slot + (slot - barW) / 2;
+      return `<g><title>${xmlText(p.label)}: ${moneyFmt(p.value, ccy)}</title>
+        <rect class="chart-bar" x="${x.toFixed(1)}" y="${(H - bottom - h).toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}" rx="3"></rect>
+        <text class="chart-label" x="${(x + barW / 2).toFixed(1)}" y="${H - 10}" text-anchor="middle">${xmlText(p.label)}</text></g>`;
+    }).join('');
+    return `<svg class="chart" viewBox="0 0 ${W} ${H}" role="img"><text class="chart-label" x="0" y="12">${moneyFmt(max, ccy)}</text>
+      <line class="chart-axis" x1="0" y1="${H - bottom}" x2="${W}" y2="${H - bottom}"></line>${bars}</svg>`;
+  }
+
+  function barChartSvg(items, ccy) {
+    if (!items.length) return '<p class="muted">No spend in this range.</p>';
+    const W = 640, row = 26, labelW = 150, valueW = 120;
+    const max = Math.max(...items.map(it => it.value)) || 1;
+    const bars = items.map((it, i) => {
+      const w = Math.max(1, (it.value / max) * (W - labelW - valueW)), y = i * row;
+      return `<g><title>${xmlText(it.label)}: ${moneyFmt(it.value, ccy)}</title>
+        <text class="chart-label" x="${labelW - 8}" y="${y + 17}" text-anchor="end">${xmlText(it.label)}</text>
+        <rect class="chart-bar" x="${labelW}" y="${y + 5}" width="${w.toFixed(1)}" height="${row - 8}" rx="3"></rect>
+        <text class="chart-value" x="${(labelW + w + 6).toFixed(1)}" y="${y + 17}">${moneyFmt(it.value, ccy)}</text></g>`;
+    }).join('');
+    return `<svg class="chart" viewBox="0 0 ${W} ${items.length * row + 4}" role="img">${bars}</svg>`;
+  }
+
+  const monthLabel = (key) => new Date(`${key}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' });
+  const hoursLabel = (hours) => hours < 48 ? `${Math.round(hours)}h` : `${(hours / 24).toFixed(1)} days`;
+  const percentLabel = (rate) => rate === null ? '—' : `${Math.round(rate * 100)}%`;
+
+  async function renderAnalyticsView(user) {
+    if (!user) return;
+    const teamSel = $('#an-team');
+    const teams = analyticsTeams(user);
+    const keep = teamSel.value;
+    teamSel.innerHTML = '<option value="">Everyone I can see</option>' + teams.map(m => `<option value="${m.id}">${m.name}'s team</option>`).join('');
+    teamSel.value = teams.some(m => m.id === keep) ? keep : '';
+    // Defaults to the last twelve months
+    if (!$('#an-to').value) $('#an-to').value = todayStr();
+    if (!$('#an-from').value) $('#an-from').value = addMonthsIso(`${$('#an-to').value.slice(0, 7)}-01`, -11);
+
+    const a = await computeAnalytics(user, { from: $('#an-from').value, to: $('#an-to').value, teamId: teamSel.value, scope: $('#an-scope').value });
+    $('#analytics-cards').replaceChildren(
+      cardEl('Total Spend', moneyFmt(a.total, a.currency), 'fa-sack-dollar'),
+      cardEl('Expenses Counted', a.count, 'fa-file-invoice-dollar'),
+      cardEl('Avg. Approval Turnaround', a.turnaroundHours === null ? '—' : hoursLabel(a.turnaroundHours), 'fa-stopwatch'),
+      cardEl('Rejection Rate', percentLabel(a.rejectionRate), 'fa-ban'),
+    );
+    $('#chart-monthly').innerHTML = columnChartSvg(a.months.map(m => ({ ...m, label: monthLabel(m.key) })), a.currency);
+    $('#chart-category').innerHTML = barChartSvg(a.categories, a.currency);
+    $('#chart-spenders').innerHTML = barChartSvg(a.spenders, a.currency);
+    $('#approver-stats-table tbody').innerHTML = a.approvers.map(s => `<tr>
+        <td>${s.name}</td><td>${s.decisions}</td><td>${s.approved}</td><td>${s.changes}</td><td>${s.rejected}</td><td>${percentLabel(s.rejectionRate)}</td>
+      </tr>`).join('') || '<tr><td colspan="6" class="muted">No decisions in this range.</td></tr>';
+  }
+
+  function bindAnalyticsFilters() {
+    ['#an-from', '#an-to', '#an-team', '#an-scope'].forEach(sel => on($(sel), 'change', () => renderAnalyticsView(currentUser())));
+  }
+
+  // The expenses toolbar filters; exports use the same set the table shows
+  function applyExpenseFilters(rows) {
+    const q = ($('#exp-search').value || '').toLowerCase();
+    const st = $('#exp-status-filter').value;
+    const cat = $('#exp-category-filter').value;
+    const df = $('#exp-date-from').value; const dt = $('#exp-date-to').value;
+    return rows.filter(r => {
+      if (q && !expenseLines(r).some(l => `${r.description} ${l.description || ''} ${categoryLabel(l.category)}`.toLowerCase().includes(q))) return false;
+      if (st && r.status !== st) return false;
+      if (cat && !expenseCategories(r).includes(cat)) return false;
+      if (df && new Date(r.date) < new Date(df)) return false;
+      if (dt && new Date(r.date) > new Date(dt)) return false;
+      return true;
+    });
+  }
+
+  async function exportExpenses(format) {
+    const rows = applyExpenseFilters(listExpensesFor(currentUser()));
+    if (!rows.length) { toast('No expenses match the current filters', 'error'); return; }
+    const stamp = todayStr();
+    try {
+      if (format === 'journal') {
+        const lines = await journalRows(rows);
+        if (lines.length === 1) { toast('Only approved expenses go into the journal; none match the current filters', 'error'); return; }
+        downloadFile(`expense-journal-${stamp}.csv`, toCsv(lines), 'text/csv;charset=utf-8');
+        toast(`Journal exported for ${rows.filter(e => APPROVED_STATUSES.includes(e.status)).length} approved expense(s)`, 'success');
+        return;
+      }
+      const table = await expenseExportRows(rows);
+      if (format === 'xlsx') downloadFile(`expenses-${stamp}.xlsx`, xlsxWorkbook(table, 'Expenses'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      else downloadFile(`expenses-${stamp}.csv`, toCsv(table), 'text/csv;charset=utf-8');
+      toast(`${rows.length} expense(s) exported`, 'success');
+    } catch (err) { toast(err.message, 'error'); }
+  }
+
+  async function renderExpensesView(user) {
+    // Populate currency select
+    const ccys = await fetchCountries();
+    const cset = new Set();
+    $('#exp-currency').innerHTML = ccys.filter(c => { if (cset.has(c.currencyCode)) return false; cset.add(c.currencyCode); return true; })
+      .map(c => `<option value="${c.currencyCode}">${c.currencyCode} ${c.currencySymbol !== c.currencyCode ? `(${c.currencySymbol})` : ''}</option>`).join('');
+
+    const tbody = $('#expenses-table tbody');
+    async function draw() {
+      const rows = listExpensesFor(user);
+      const filtered = applyExpenseFilters(rows);
+      const company = getCompany();
+      const users = new Map(getUsers().map(u => [u.id, u]));
+      const items = await Promise.all(filtered.map(async e => {
+        const amountC = await convert(e.amount, e.currency, company.currencyCode);
+        const emp = users.get(e.userId);
+        const approver = isUserApproverFor(e, user) && e.status === 'PENDING';
+        const adminAct = hasRole(user, ROLES.ADMIN) && e.status === 'PENDING' && !e.reportId;
+        const removable = canRemoveExpense(e, user);
+        const owner = [
+          canEditExpense(e, user) ? `<button class="btn btn-ghost btn-edit-exp" title="Edit"><i class="fa-solid fa-pen"></i></button>` : '',
+          canWithdrawExpense(e, user) ? `<button class="btn btn-ghost btn-withdraw" title="Withdraw">Withdraw</button>` : '',
+          canResubmitExpense(e, user) ? `<button class="btn btn-ghost btn-resubmit" title="Revise and resubmit">Revise &amp; Resubmit</button>` : '',
+        ].join(' ');
+        return `<tr data-id="${e.id}">
+          <td>${fmtDate(e.date)}</td>
+          <td>${emp?.name || '-'}</td>
+          <td>${e.items?.length ? `<button class="btn btn-ghost btn-lines" title="Show line items"><i class="fa-solid fa-list"></i> Split · ${e.items.length} lines</button>` : categoryCell(e.category)}</td>
+          <td title="${escapeHtml(ocrSummary(e.receipt) || e.receipt?.text)}">${e.description}${e.receipt?.ocr ? ' <i class="fa-solid fa-wand-magic-sparkles muted"></i>' : ''}${e.recurringId ? ' <i class="fa-solid fa-repeat muted" title="Generated from a recurring expense"></i>' : ''}${calcBreakdownHtml(e)}</td>
+          <td>${moneyFmt(e.amount, e.currency)}</td>
+          <td>${moneyFmt(amountC, company.currencyCode)}</td>
+          <td><span class="status ${e.status}" title="${escapeHtml(lastRuleNote(e))}">${e.status}</span>${slaBadge(e)}${policyBadges(e)}${duplicateBadge(e)}${paymentNote(e)}${e.reportId ? `<div class="muted small"><i class="fa-solid fa-folder-open"></i> ${escapeHtml(reportOf(e)?.title || 'Report')}</div>` : e.status === 'PENDING' ? `<div class="muted small">${getCurrentStep(e).role} · ${progressLabel(stepProgress(e))}</div>` : ''}${e.status === 'CHANGES_REQUESTED' ? `<div class="muted small">${escapeHtml(latestChangeRequest(e)?.comment)}</div>` : ''}</td>
           <td>
-            ${approver ? `<button class="btn btn-primary btn-approve" title="Approve">Approve</button> <button class="btn btn-ghost btn-reject" title="Reject">Reject</button>` : ''}
+            ${await receiptButtonHtml(e)}
+            ${approver ? `<button class="btn btn-primary btn-approve" title="Approve">Approve</button> <button class="btn btn-ghost btn-changes" title="Request changes">Request changes</button> <button class="btn btn-ghost btn-reject" title="Reject">Reject</button>` : ''}
             ${adminAct ? `<button class="btn btn-ghost btn-ovr-approve" title="Admin Approve">Override ✓</button> <button class="btn btn-ghost btn-ovr-reject" title="Admin Reject">Override ✗</button>` : ''}
+            ${owner}
+            ${removable ? `<button class="btn btn-ghost btn-remove" title="Remove expense"><i class="fa-solid fa-trash"></i></button>` : ''}
           </td>
-        </tr>`;
+        </tr>${e.items?.length ? `<tr class="line-items-row hidden" data-parent="${e.id}"><td></td><td colspan="7">${lineItemsTableHtml(e)}</td></tr>` : ''}`;
       }));
       tbody.innerHTML = items.join('');
     }
 
-    // Bind filters once
-    ['exp-search', 'exp-status-filter', 'exp-category-filter', 'exp-date-from', 'exp-date-to'].forEach(id => on($('#' + id), 'input', draw));
+    // Bind filters and row actions once; re-renders only redraw the rows
+    if (tbody.dataset.bound) { await draw(); return; }
+    tbody.dataset.bound = 'true';
+    ['exp-search', 'exp-status-filter', 'exp-category-filter', 'exp-date-from', 'exp-date-to'].forEach(id => on($('#' + id), 'input', draw));
+
+    // Row actions
+    on(tbody, 'click', async (e) => {
+      const tr = e.target.closest('tr'); if (!tr) return; const id = tr.dataset.id;
+      if (e.target.closest('.btn-lines')) { tbody.querySelector(`tr[data-parent="${id}"]`)?.classList.toggle('hidden'); return; }
+      if (e.target.closest('.btn-receipt')) { openReceiptViewer(id); return; }
+      const exp = getExpenses().find(x => x.id === id);
+      if (e.target.closest('.btn-edit-exp')) { openExpenseModal(exp, 'edit'); return; }
+      if (e.target.closest('.btn-resubmit')) { openExpenseModal(exp, 'resubmit'); return; }
+      if (e.target.closest('.btn-withdraw')) {
+        if (!confirm('Withdraw this expense from approval?')) return;
+        try { withdrawExpense(id, currentUser()); toast('Expense withdrawn', 'success'); draw(); renderApprovalsView(currentUser()); renderDashboard(currentUser()); } catch (err) { toast(err.message, 'error'); }
+        return;
+      }
+      if (e.target.closest('.btn-remove')) {
+        if (!confirm('Remove this expense and its receipt?')) return;
+        try { await removeExpense(id, currentUser()); toast('Expense removed', 'success'); draw(); renderApprovalsView(currentUser()); renderDashboard(currentUser()); } catch (err) { toast(err.message, 'error'); }
+        return;
+      }
+      if (e.target.classList.contains('btn-approve')) { openApproval('APPROVE', id); }
+      if (e.target.classList.contains('btn-changes')) { openApproval('REQUEST_CHANGES', id); }
+      if (e.target.classList.contains('btn-reject')) { openApproval('REJECT', id); }
+      if (e.target.classList.contains('btn-ovr-approve')) { try { adminOverride(id, 'APPROVED', currentUser().id); toast('Approved by admin', 'success'); draw(); renderDashboard(currentUser()); } catch (err) { toast(err.message, 'error'); } }
+      if (e.target.classList.contains('btn-ovr-reject')) { try { adminOverride(id, 'REJECTED', currentUser().id); toast('Rejected by admin', 'success'); draw(); renderDashboard(currentUser()); } catch (err) { toast(err.message, 'error'); } }
+    });
+
+    await draw();
+  }
+
+  // Pending items the user can act on, including those of colleagues currently delegating to them
+  function listApprovableFor(user) {
+    const seen = new Set();
+    return [user, ...activeDelegators(user)].flatMap(u => listExpensesFor(u))
+      .filter(e => !seen.has(e.id) && seen.add(e.id))
+      .filter(e => e.status === 'PENDING' && isUserApproverFor(e, user));
+  }
+
+  function onBehalfLabel(expense, user) {
+    const cap = approverCapacity(expense, user);
+    if (!cap?.onBehalfOf) return '';
+    return `<div class="chip delegate-chip" title="You are acting as delegate">for ${getUsers().find(u => u.id === cap.onBehalfOf)?.name || '-'}</div>`;
+  }
+
+  // Ids ticked for a bulk decision; kept across redraws while the rows stay visible
+  const approvalSelection = new Set();
+
+  function updateBulkBar() {
+    const n = approvalSelection.size;
+    $('#appr-selected-count').textContent = n ? `${n} selected` : '';
+    $$('#appr-bulk-approve, #appr-bulk-reject').forEach(b => { b.disabled = !n; });
+    const boxes = $$('#approvals-table .appr-select');
+    $('#appr-select-all').checked = boxes.length > 0 && boxes.every(b => b.checked);
+  }
+
+  async function renderApprovalsView(user) {
+    const tbody = $('#approvals-table tbody');
+    function applyFilters(rows) {
+      const q = ($('#appr-search').value || '').toLowerCase();
+      const cat = $('#appr-category-filter').value;
+      const df = $('#appr-date-from').value; const dt = $('#appr-date-to').value;
+      const users = getUsers();
+      return rows.filter(r => {
+        const emp = users.find(u => u.id === r.userId)?.name || '';
+        if (q && !expenseLines(r).some(l => `${r.description} ${emp} ${l.description || ''} ${categoryLabel(l.category)}`.toLowerCase().includes(q))) return false;
+        if (cat && !expenseCategories(r).includes(cat)) return false;
+        if (df && new Date(r.date) < new Date(df)) return false;
+        if (dt && new Date(r.date) > new Date(dt)) return false;
+        return true;
+      });
+    }
+
+    async function draw() {
+      const rows = applyFilters(listApprovableFor(user));
+      const visible = new Set(rows.map(e => e.id));
+      [...approvalSelection].forEach(id => { if (!visible.has(id)) approvalSelection.delete(id); });
+      const users = new Map(getUsers().map(u => [u.id, u]));
+      const items = await Promise.all(rows.map(async e => {
+        const emp = users.get(e.userId);
+        const step = getCurrentStep(e);
+        return `<tr data-id="${e.id}">
+          <td><input type="checkbox" class="appr-select" ${approvalSelection.has(e.id) ? 'checked' : ''} /></td>
+          <td>${fmtDate(e.date)}</td>
+          <td>${emp?.name || '-'}</td>
+          <td>${e.items?.length ? e.items.map(l => `<div class="small">${categoryCell(l.category)} ${moneyFmt(l.amount, e.currency)}</div>`).join('') : categoryCell(e.category)}</td>
+          <td title="${escapeHtml(ocrSummary(e.receipt))}">${e.description}${e.receipt?.ocr ? ' <i class="fa-solid fa-wand-magic-sparkles muted"></i>' : ''}${e.recurringId ? ' <i class="fa-solid fa-repeat muted" title="Generated from a recurring expense"></i>' : ''}${calcBreakdownHtml(e)}</td>
+          <td>${moneyFmt(e.amount, e.currency)}</td>
+          <td>${(await budgetImpact(e)).map(x => `<div class="small ${x.over ? 'budget-over' : 'muted'}">${escapeHtml(budgetImpactLabel(x))}</div>`).join('') || '<span class="muted">—</span>'}</td>
+          <td>${step.role || '-'}${slaBadge(e)}${policyBadges(e)}${duplicateBadge(e)}<div class="muted small">${progressLabel(stepProgress(e))}</div>${onBehalfLabel(e, user)}</td>
+          <td>
+            ${await receiptButtonHtml(e)}
+            <button class="btn btn-primary btn-approve">Approve</button>
+            <button class="btn btn-ghost btn-changes">Request changes</button>
+            <button class="btn btn-ghost btn-reject">Reject</button>
+          </td>
+        </tr>`;
+      }));
+      tbody.innerHTML = items.join('') || `<tr><td colspan="9" class="muted">Nothing waiting for your approval${rows.length === listApprovableFor(user).length ? '' : ' matches these filters'}.</td></tr>`;
+      updateBulkBar();
+    }
+
+    if (tbody.dataset.bound) { await draw(); await renderReportApprovals(user); return; }
+    tbody.dataset.bound = 'true';
+    // Bound once, so redraw for whoever is signed in now rather than the user captured here
+    ['appr-search', 'appr-category-filter', 'appr-date-from', 'appr-date-to'].forEach(id => on($('#' + id), 'input', () => renderApprovalsView(currentUser())));
+    on(tbody, 'change', (e) => {
+      if (!e.target.classList.contains('appr-select')) return;
+      const id = e.target.closest('tr').dataset.id;
+      if (e.target.checked) approvalSelection.add(id); else approvalSelection.delete(id);
+      updateBulkBar();
+    });
+    on($('#appr-select-all'), 'change', (e) => {
+      $$('#approvals-table .appr-select').forEach(box => {
+        box.checked = e.target.checked;
+        const id = box.closest('tr').dataset.id;
+        if (box.checked) approvalSelection.add(id); else approvalSelection.delete(id);
+      });
+      updateBulkBar();
+    });
+    on($('#appr-bulk-approve'), 'click', () => openApproval('APPROVE', [...approvalSelection].join(','), 'bulk'));
+    on($('#appr-bulk-reject'), 'click', () => openApproval('REJECT', [...approvalSelection].join(','), 'bulk'));
+    on(tbody, 'click', (e) => {
+      const tr = e.target.closest('tr'); if (!tr) return; const id = tr.dataset.id;
+      if (e.target.closest('.btn-receipt')) { openReceiptViewer(id); return; }
+      if (e.target.classList.contains('btn-approve')) openApproval('APPROVE', id);
+      if (e.target.classList.contains('btn-changes')) openApproval('REQUEST_CHANGES', id);
+      if (e.target.classList.contains('btn-reject')) openApproval('REJECT', id);
+    });
+
+    await draw();
+    await renderReportApprovals(user);
+  }
+
+  // Member lines of a report; approvers get a per-line reject button
+  function reportLinesHtml(report, { lineActions = false } = {}) {
+    const members = reportMembers(report);
+    const rejected = (report.rejectedLines || []).map(l => ({ line: l, expense: getExpenses().find(e => e.id === l.expenseId) })).filter(x => x.expense);
+    return `<table class="lines-table">${members.map(e => `<tr data-line="${e.id}">
+        <td>${fmtDate(e.date)}</td><td>${e.items?.length ? e.items.map(l => categoryLabel(l.category)).join(', ') : categoryCell(e.category)}</td>
+        <td>${escapeHtml(e.description)}${calcBreakdownHtml(e)}${policyBadges(e)}${duplicateBadge(e)}</td>
+        <td>${moneyFmt(e.amount, e.currency)}</td>
+        <td>${lineActions ? '<button class="btn btn-ghost btn-reject-line">Reject line</button>' : `<span class="status ${e.status}">${e.status}</span>`}</td>
+      </tr>`).join('')}${rejected.map(x => `<tr class="muted"><td>${fmtDate(x.expense.date)}</td><td>${categoryLabel(x.expense.category)}</td><td><s>${escapeHtml(x.expense.description)}</s> <span class="small">rejected: ${escapeHtml(x.line.comment)}</span></td><td>${moneyFmt(x.expense.amount, x.expense.currency)}</td><td></td></tr>`).join('')}</table>`;
+  }
+
+  const reportDates = (r) => `${fmtDate(r.from)} – ${fmtDate(r.to)}`;
+
+  async function renderReportApprovals(user) {
+    const tbody = $('#report-approvals-table tbody'); if (!tbody) return;
+    const ccy = getCompany()?.currencyCode;
+    const rows = listApprovableReportsFor(user);
+    $('#report-approvals-wrap').classList.toggle('hidden', !rows.length);
+    const items = await Promise.all(rows.map(async r => {
+      const emp = getUsers().find(u => u.id === r.userId);
+      return `<tr data-id="${r.id}">
+          <td><strong>${escapeHtml(r.title)}</strong>${r.purpose ? `<div class="muted small">${escapeHtml(r.purpose)}</div>` : ''}</td>
+          <td>${emp?.name || '-'}</td>
+          <td>${reportDates(r)}</td>
+          <td><button class="btn btn-ghost btn-lines"><i class="fa-solid fa-list"></i> ${r.expenseIds.length}</button></td>
+          <td>${moneyFmt(await reportTotal(r), ccy)}</td>
+          <td>${getCurrentStep(r).role || '-'}${slaBadge(r)}<div class="muted small">${progressLabel(stepProgress(r))}</div>${onBehalfLabel(r, user)}</td>
+          <td>
+            <button class="btn btn-primary btn-approve">Approve</button>
+            <button class="btn btn-ghost btn-changes">Request changes</button>
+            <button class="btn btn-ghost btn-reject">Reject</button>
+          </td>
+        </tr><tr class="line-items-row hidden" data-parent="${r.id}"><td colspan="7">${reportLinesHtml(r, { lineActions: true })}</td></tr>`;
+    }));
+    tbody.innerHTML = items.join('');
+    if (tbody.dataset.bound) return;
+    tbody.dataset.bound = 'true';
+    on(tbody, 'click', (e) => {
+      const parent = e.target.closest('tr[data-parent]');
+      if (parent && e.target.closest('.btn-reject-line')) { openApproval('REJECT', parent.dataset.parent, 'line', e.target.closest('tr[data-line]').dataset.line); return; }
+      const tr = e.target.closest('tr[data-id]'); if (!tr) return; const id = tr.dataset.id;
+      if (e.target.closest('.btn-lines')) { tbody.querySelector(`tr[data-parent="${id}"]`)?.classList.toggle('hidden'); return; }
+      if (e.target.classList.contains('btn-approve')) openApproval('APPROVE', id, 'report');
+      if (e.target.classList.contains('btn-changes')) openApproval('REQUEST_CHANGES', id, 'report');
+      if (e.target.classList.contains('btn-reject')) openApproval('REJECT', id, 'report');
+    });
+  }
+
+  async function renderReportsView(user) {
+    const tbody = $('#reports-table tbody'); if (!tbody) return;
+    const ccy = getCompany()?.currencyCode;
+    const rows = await Promise.all(listReportsFor(user).map(async r => {
+      const emp = getUsers().find(u => u.id === r.userId);
+      const actions = [
+        canEditReport(r, user) ? '<button class="btn btn-ghost btn-edit-report" title="Edit"><i class="fa-solid fa-pen"></i></button>' : '',
+        canSubmitReport(r, user) ? `<button class="btn btn-primary btn-submit-report">${r.status === 'CHANGES_REQUESTED' ? 'Submit Changes' : 'Submit'}</button>` : '',
+        canWithdrawReport(r, user) ? '<button class="btn btn-ghost btn-withdraw-report">Withdraw</button>' : '',
+        canReopenReport(r, user) ? '<button class="btn btn-ghost btn-reopen-report">Reopen</button>' : '',
+        canRemoveReport(r, user) ? '<button class="btn btn-ghost btn-remove-report" title="Remove report"><i class="fa-solid fa-trash"></i></button>' : '',
+      ].join(' ');
+      const changes = r.status === 'CHANGES_REQUESTED' ? latestChangeRequest(r) : null;
+      return `<tr data-id="${r.id}">
+          <td><strong>${escapeHtml(r.title)}</strong>${r.purpose ? `<div class="muted small">${escapeHtml(r.purpose)}</div>` : ''}</td>
+          <td>${emp?.name || '-'}</td>
+          <td>${reportDates(r)}</td>
+          <td><button class="btn btn-ghost btn-lines"><i class="fa-solid fa-list"></i> ${r.expenseIds.length}</button></td>
+          <td>${moneyFmt(await reportTotal(r), ccy)}</td>
+          <td><span class="status ${r.status}" title="${escapeHtml(lastRuleNote(r))}">${r.status}</span>${slaBadge(r)}${r.status === 'PENDING' ? `<div class="muted small">${getCurrentStep(r).role} · ${progressLabel(stepProgress(r))}</div>` : ''}${changes ? `<div class="muted small">${escapeHtml(changes.comment)}</div>` : ''}</td>
+          <td>${actions}</td>
+        </tr><tr class="line-items-row hidden" data-parent="${r.id}"><td colspan="7">${reportLinesHtml(r)}</td></tr>`;
+    }));
+    tbody.innerHTML = rows.join('') || '<tr><td colspan="7" class="muted">No expense reports yet.</td></tr>';
+    if (tbody.dataset.bound) return;
+    tbody.dataset.bound = 'true';
+    on(tbody, 'click', async (e) => {
+      const tr = e.target.closest('tr[data-id]'); if (!tr) return; const id = tr.dataset.id;
+      const me = currentUser();
+      const report = getReports().find(r => r.id === id);
+      if (e.target.closest('.btn-lines')) { tbody.querySelector(`tr[data-parent="${id}"]`)?.classList.toggle('hidden'); return; }
+      if (e.target.closest('.btn-edit-report')) { openReportModal(report); return; }
+      try {
+        if (e.target.closest('.btn-submit-report')) { await submitReport(id, me); toast('Report submitted for approval', 'success'); }
+        else if (e.target.closest('.btn-withdraw-report')) { if (!confirm('Withdraw this report from approval? Its expenses go back to drafts.')) return; withdrawReport(id, me); toast('Report withdrawn', 'success'); }
+        else if (e.target.closest('.btn-reopen-report')) { reopenReport(id, me); toast('Report reopened as a draft', 'success'); }
+        else if (e.target.closest('.btn-remove-report')) { if (!confirm('Remove this report? Its expenses stay as drafts.')) return; removeReport(id, me); toast('Report removed', 'success'); }
+        else return;
+        refreshAfterReportChange();
+      } catch (err) { toast(err.message, 'error'); }
+    });
+  }
+
+  function refreshAfterReportChange() {
+    const user = currentUser();
+    renderReportsView(user); renderExpensesView(user); renderApprovalsView(user); renderDashboard(user);
+  }
+
+  function renderReportExpenseChoices(report) {
+    const user = currentUser();
+    const locked = report && report.status !== 'DRAFT';
+    const list = locked ? reportMembers(report) : reportCandidates(user, report?.id);
+    const chosen = new Set(report?.expenseIds || []);
+    $('#report-expenses').innerHTML = list.map(e => `<label class="report-expense"><input type="checkbox" value="${e.id}" ${chosen.has(e.id) ? 'checked' : ''} ${locked ? 'disabled' : ''}/>
+        <span>${fmtDate(e.date)}</span><span>${escapeHtml(e.description || categoryLabel(e.category))}</span><span>${moneyFmt(e.amount, e.currency)}</span></label>`).join('')
+      || '<p class="muted">You have no draft expenses. Save expenses as drafts first, then bundle them here.</p>';
+  }
+
+  function openReportModal(report = null) {
+    $('#report-modal-title').textContent = report ? 'Edit Expense Report' : 'New Expense Report';
+    $('#report-id').value = report?.id || '';
+    $('#report-title').value = report?.title || '';
+    $('#report-purpose').value = report?.purpose || '';
+    $('#report-from').value = report?.from || todayStr();
+    $('#report-to').value = report?.to || todayStr();
+    renderReportExpenseChoices(report);
+    openModal('report-modal');
+  }
+
+  function handleReportSave(e) {
+    e.preventDefault();
+    try {
+      saveReport({
+        id: $('#report-id').value, title: $('#report-title').value.trim(), purpose: $('#report-purpose').value.trim(),
+        from: $('#report-from').value, to: $('#report-to').value,
+        expenseIds: $$('#report-expenses input:checked').map(cb => cb.value),
+      }, currentUser());
+      toast('Report saved', 'success');
+      closeModal('report-modal');
+      refreshAfterReportChange();
+    } catch (err) { toast(err.message, 'error'); }
+  }
+
+  async function renderBudgetsView() {
+    const tbody = $('#budgets-table tbody'); if (!tbody) return;
+    const ccy = getCompany()?.currencyCode;
+    const users = getUsers();
+    const rows = await Promise.all(getBudgets().map(async b => {
+      const used = await budgetConsumption(b);
+      const pct = b.amount > 0 ? Math.round(used / b.amount * 100) : 0;
+      const team = b.managerId ? `${users.find(u => u.id === b.managerId)?.name || 'Unknown'}'s team` : 'Everyone';
+      return `<tr data-id="${b.id}">
+        <td>${escapeHtml(b.name)}</td>
+        <td>${b.category ? categoryLabel(b.category) : 'All categories'}</td>
+        <td>${team}</td>
+        <td>${budgetPeriodLabel(b.period)}</td>
+        <td>${moneyFmt(b.amount, ccy)}</td>
+        <td><div class="budget-bar ${pct > 100 ? 'over' : pct >= 80 ? 'warn' : ''}"><span style="width:${Math.min(pct, 100)}%"></span></div><span class="small ${pct > 100 ? 'budget-over' : 'muted'}">${moneyFmt(used, ccy)} · ${pct}%</span></td>
+        <td>${moneyFmt(b.amount - used, ccy)}</td>
+        <td>
+          <button class="btn btn-ghost btn-edit"><i class="fa-solid fa-pen"></i></button>
+          <button class="btn btn-ghost btn-del"><i class="fa-solid fa-trash"></i></button>
+        </td>
+      </tr>`;
+    }));
+    tbody.innerHTML = rows.join('') || `<tr><td colspan="8" class="muted">No budgets yet.</td></tr>`;
+    if (tbody.dataset.bound) return;
+    tbody.dataset.bound = 'true';
+    on(tbody, 'click', (e) => {
+      const tr = e.target.closest('tr[data-id]'); if (!tr) return;
+      const budget = getBudgets().find(b => b.id === tr.dataset.id); if (!budget) return;
+      if (e.target.closest('.btn-edit')) openBudgetModal(budget);
+      if (e.target.closest('.btn-del') && confirm(`Delete budget ${budget.name}?`)) {
+        setBudgets(getBudgets().filter(b => b.id !== budget.id));
+        toast('Budget deleted', 'success');
+        renderBudgetsView();
+      }
+    });
+  }
+
+  function openBudgetModal(existing) {
+    $('#budget-modal-title').textContent = existing ? 'Edit Budget' : 'Add Budget';
+    $('#budget-id').value = existing?.id || '';
+    $('#budget-name').value = existing?.name || '';
+    $('#budget-category').innerHTML = `<option value="">All categories</option>` + categoryOptions(existing?.category);
+    $('#budget-category').value = existing?.category || '';
+    const heads = getUsers().filter(u => getUsers().some(x => x.managerId === u.id) || hasRole(u, ROLES.MANAGER) || hasRole(u, ROLES.DIRECTOR));
+    $('#budget-team').innerHTML = `<option value="">Everyone</option>` + heads.map(u => `<option value="${u.id}">${u.name}'s team</option>`).join('');
+    $('#budget-team').value = existing?.managerId || '';
+    $('#budget-period').value = existing?.period || 'MONTH';
+    $('#budget-amount').value = existing?.amount ?? '';
+    $('#budget-amount-label').firstChild.textContent = `Amount (${getCompany()?.currencyCode || ''}) `;
+    openModal('budget-modal');
+  }
+
+  function paymentNote(e) {
+    if (e.status === 'SCHEDULED') return `<div class="muted small">Payment due ${fmtDate(e.payment?.scheduledFor)}</div>`;
+    if (e.status !== 'PAID') return '';
+    const p = e.payment || {};
+    return `<div class="muted small">Paid ${fmtDate(p.paidAt)} · ${p.method}${p.reference ? ` · ${escapeHtml(p.reference)}` : ''}${p.advanceApplied ? ` · ${moneyFmt(p.advanceApplied, getCompany()?.currencyCode)} from advance` : ''}</div>`;
+  }
+
+  async function renderPayablesView() {
+    const tbody = $('#payables-table tbody'); if (!tbody) return;
+    const ccy = getCompany()?.currencyCode;
+    const users = getUsers();
+    const rows = await payablesSummary();
+    tbody.innerHTML = rows.map(r => `<tr data-id="${r.userId}">
+        <td>${users.find(u => u.id === r.userId)?.name || 'Unknown'}</td>
+        <td><button class="btn btn-ghost btn-lines"><i class="fa-solid fa-list"></i> ${r.expenses.length}</button></td>
+        <td>${moneyFmt(r.approved, ccy)}</td>
+        <td>${moneyFmt(r.scheduled, ccy)}</td>
+        <td>${moneyFmt(r.advance, ccy)}</td>
+        <td><strong class="${r.net < 0 ? 'budget-over' : ''}">${moneyFmt(r.net, ccy)}</strong></td>
+        <td>
+          ${r.approved ? '<button class="btn btn-ghost btn-schedule">Schedule</button>' : ''}
+          ${r.expenses.length ? '<button class="btn btn-primary btn-pay">Mark paid</button>' : ''}
+        </td>
+      </tr><tr class="line-items-row hidden" data-parent="${r.userId}"><td colspan="7"><table class="lines-table">${r.expenses.map(e => `<tr>
+        <td>${fmtDate(e.date)}</td><td>${categoryCell(e.category)}</td><td>${e.description || ''}</td><td>${moneyFmt(e.amount, e.currency)}</td>
+        <td><span class="status ${e.status}">${e.status}</span>${paymentNote(e)}</td></tr>`).join('')}</table></td></tr>`).join('')
+      || '<tr><td colspan="7" class="muted">Nothing is waiting to be reimbursed.</td></tr>';
+
+    const advances = getAdvances();
+    $('#advances-table tbody').innerHTML = advances.map(a => {
+      const open = advanceBalance(a);
+      return `<tr data-id="${a.id}">
+        <td>${users.find(u => u.id === a.userId)?.name || 'Unknown'}</td>
+        <td>${fmtDate(a.issuedAt)}</td>
+        <td>${escapeHtml(a.purpose || '-')}</td>
+        <td>${moneyFmt(a.amount, ccy)}<div class="muted small">${a.method}${a.reference ? ` · ${escapeHtml(a.reference)}` : ''}</div></td>
+        <td>${open > 0 ? moneyFmt(open, ccy) : '<span class="status APPROVED">SETTLED</span>'}</td>
+        <td>${open > 0 ? '<button class="btn btn-ghost btn-return">Cash returned</button>' : ''}</td>
+      </tr>`;
+    }).join('') || '<tr><td colspan="6" class="muted">No cash advances issued.</td></tr>';
+
+    if (tbody.dataset.bound) return;
+    tbody.dataset.bound = 'true';
+    on(tbody, 'click', (e) => {
+      const tr = e.target.closest('tr[data-id]'); if (!tr) return; const userId = tr.dataset.id;
+      if (e.target.closest('.btn-lines')) tbody.querySelector(`tr[data-parent="${userId}"]`)?.classList.toggle('hidden');
+      if (e.target.closest('.btn-schedule')) openPaymentModal(userId, 'SCHEDULE');
+      if (e.target.closest('.btn-pay')) openPaymentModal(userId, 'PAY');
+    });
+    on($('#advances-table tbody'), 'click', (e) => {
+      const tr = e.target.closest('tr[data-id]'); if (!tr || !e.target.closest('.btn-return')) return;
+      const advance = getAdvances().find(a => a.id === tr.dataset.id); if (!advance) return;
+      if (!confirm(`Record ${moneyFmt(advanceBalance(advance), getCompany()?.currencyCode)} as returned by the employee?`)) return;
+      try { recordAdvanceReturn(advance.id, currentUser()); toast('Advance settled', 'success'); refreshAfterPayment(); } catch (err) { toast(err.message, 'error'); }
+    });
+  }
+
+  function refreshAfterPayment() {
+    const user = currentUser();
+    renderPayablesView(); renderExpensesView(user); renderDashboard(user);
+  }
+
+  async function openPaymentModal(userId, mode) {
+    const employee = getUsers().find(u => u.id === userId);
+    const balance = await employeeBalance(userId);
+    const ccy = getCompany()?.currencyCode;
+    const pay = mode === 'PAY';
+    $('#payment-modal-title').textContent = `${pay ? 'Record Payment' : 'Schedule Reimbursement'} · ${employee?.name || ''}`;
+    $('#payment-user-id').value = userId;
+    $('#payment-mode').value = mode;
+    $('#payment-date').value = todayStr();
+    $('#payment-method').innerHTML = PAYMENT_METHODS.map(m => `<option>${m}</option>`).join('');
+    $('#payment-reference').value = '';
+    $$('.payment-only').forEach(el => el.classList.toggle('hidden', !pay));
+    const netted = Math.min(balance.advance, balance.approved + balance.scheduled);
+    $('#payment-summary').textContent = pay
+      ? `${moneyFmt(balance.approved + balance.scheduled, ccy)} approved${netted ? `, less ${moneyFmt(netted, ccy)} cash advance` : ''}: pay ${moneyFmt(balance.approved + balance.scheduled - netted, ccy)}.`
+      : `${moneyFmt(balance.approved, ccy)} approved and not yet scheduled.`;
+    $('#payment-submit').textContent = pay ? 'Mark Paid' : 'Schedule';
+    openModal('payment-modal');
+  }
+
+  async function handlePaymentSubmit(e) {
+    e.preventDefault();
+    const userId = $('#payment-user-id').value;
+    try {
+      if ($('#payment-mode').value === 'PAY') {
+        const res = await payReimbursements(userId, { date: $('#payment-date').value, method: $('#payment-method').value, reference: $('#payment-reference').value.trim() }, currentUser());
+        const ccy = getCompany()?.currencyCode;
+        toast(`${res.count} expense(s) paid: ${moneyFmt(res.paid, ccy)}${res.netted ? ` plus ${moneyFmt(res.netted, ccy)} from advance` : ''}`, 'success');
+      } else {
+        toast(`${scheduleReimbursements(userId, $('#payment-date').value, currentUser())} expense(s) scheduled`, 'success');
+      }
+      closeModal('payment-modal');
+      refreshAfterPayment();
+    } catch (err) { toast(err.message, 'error'); }
+  }
+
+  function openAdvanceModal() {
+    $('#advance-user').innerHTML = getUsers().map(u => `<option value="${u.id}">${u.name}</option>`).join('');
+    $('#advance-amount').value = '';
+    $('#advance-date').value = todayStr();
+    $('#advance-purpose').value = '';
+    $('#advance-method').innerHTML = PAYMENT_METHODS.map(m => `<option>${m}</option>`).join('');
+    $('#advance-reference').value = '';
+    $('#advance-amount-label').firstChild.textContent = `Amount (${getCompany()?.currencyCode || ''}) `;
+    openModal('advance-modal');
+  }
+
+  function handleAdvanceSubmit(e) {
+    e.preventDefault();
+    try {
+      issueAdvance({ userId: $('#advance-user').value, amount: $('#advance-amount').value, date: $('#advance-date').value, purpose: $('#advance-purpose').value.trim(), method: $('#advance-method').value, reference: $('#advance-reference').value.trim() }, currentUser());
+      toast('Cash advance recorded', 'success');
+      closeModal('advance-modal');
+      refreshAfterPayment();
+    } catch (err) { toast(err.message, 'error'); }
+  }
+
+  // Import modal state: the parsed file and the last dry run
+  let importState = null;
+
+  function openImportModal(kind) {
+    importState = { kind, rows: [], headers: [], preview: null };
+    $('#import-modal-title').textContent = kind === 'users' ? 'Import Users' : 'Import Expenses';
+    $('#import-file').value = '';
+    $('#import-hint').textContent = kind === 'users'
+      ? 'Columns: name, email, roles (separate several with ;), manager email. New users get the password "changeme".'
+      : 'Columns: date (YYYY-MM-DD), amount, currency (blank for company currency), category, description. Expenses are filed under your name.';
+    $('#import-draft-wrap').classList.toggle('hidden', kind !== 'expenses');
+    $('#import-as-draft').checked = false;
+    $('#import-mapping').classList.add('hidden');
+    $('#import-preview').innerHTML = '';
+    $('#import-preview-btn').disabled = true;
+    $('#import-commit-btn').disabled = true;
+    openModal('import-modal');
+  }
+
+  async function handleImportFile() {
+    const file = $('#import-file').files?.[0]; if (!file) return;
+    const rows = parseCsv(await file.text());
+    if (rows.length < 2) { toast('The file needs a header row and at least one data row', 'error'); return; }
+    const [headers, ...data] = rows;
+    importState = { ...importState, headers, rows: data, preview: null };
+    const mapping = guessImportMapping(importState.kind, headers);
+    $('#import-mapping').innerHTML = IMPORT_FIELDS[importState.kind].map(f => `<label>${f.label}${f.required ? ' *' : ''}
+        <select data-field="${f.key}"><option value="-1">— Not in file —</option>${headers.map((h, i) => `<option value="${i}" ${mapping[f.key] === i ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('')}</select>
+      </label>`).join('');
+    $('#import-mapping').classList.remove('hidden');
+    $('#import-preview').innerHTML = `<p class="muted">${data.length} row(s) read. Check the column mapping, then preview.</p>`;
+    $('#import-preview-btn').disabled = false;
+    $('#import-commit-btn').disabled = true;
+  }
+
+  function readImportMapping() {
+    return Object.fromEntries($$('#import-mapping select').map(sel => [sel.dataset.field, parseInt(sel.value, 10)]));
+  }
+
+  async function previewImport() {
+    const mapping = readImportMapping();
+    const missing = IMPORT_FIELDS[importState.kind].filter(f => f.required && mapping[f.key] < 0);
+    if (missing.length) { toast(`Map a column to ${missing.map(f => f.label).join(', ')}`, 'error'); return; }
+    const records = mapImportRows(importState.rows, mapping);
+    const draft = $('#import-as-draft').checked;
+    const preview = importState.kind === 'users' ? validateUserImport(records) : await validateExpenseImport(records, currentUser(), { draft });
+    importState.preview = preview;
+    const valid = preview.filter(r => !r.errors.length).length;
+    const cells = importState.kind === 'users'
+      ? (v) => `<td>${escapeHtml(v.name)}</td><td>${escapeHtml(v.email)}</td><td>${escapeHtml(v.roles.join(', '))}</td><td>${escapeHtml(v.manager || '-')}</td>`
+      : (v) => `<td>${escapeHtml(v.date || '-')}</td><td>${Number.isFinite(v.amount) ? escapeHtml(moneyFmt(v.amount, v.currency)) : '-'}</td><td>${v.category ? escapeHtml(categoryLabel(v.category)) : '-'}</td><td>${escapeHtml(v.description)}</td>`;
+    const heads = importState.kind === 'users' ? ['Name', 'Email', 'Roles', 'Manager'] : ['Date', 'Amount', 'Category', 'Description'];
+    $('#import-preview').innerHTML = `<p class="${valid ? 'muted' : 'budget-over'}">Dry run: ${valid} of ${preview.length} row(s) can be imported${valid < preview.length ? '; rows with errors are skipped' : ''}.</p>
+      <div class="table-wrap"><table class="table import-table"><thead><tr><th>Line</th>${heads.map(h => `<th>${h}</th>`).join('')}<th>Check</th></tr></thead><tbody>
+      ${preview.map(r => `<tr class="${r.errors.length ? 'import-error' : ''}"><td>${r.line}</td>${cells(r.values)}<td>${r.errors.length ? `<span class="budget-over">${escapeHtml(r.errors.join('; '))}</span>` : '<i class="fa-solid fa-check"></i>'}${r.warnings.map(w => `<div class="muted small">${escapeHtml(w)}</div>`).join('')}</td></tr>`).join('')}
+      </tbody></table></div>`;
+    $('#import-commit-btn').disabled = !valid;
+    $('#import-commit-btn').textContent = `Import ${valid} row(s)`;
+  }
 
-    // Row actions
-    on(tbody, 'click', (e) => {
-      const tr = e.target.closest('tr'); if (!tr) return; const id = tr.dataset.id;
-      if (e.target.classList.contains('btn-approve')) { openApproval('APPROVE', id); }
-      if (e.target.classList.contains('btn-reject')) { openApproval('REJECT', id); }
-      if (e.target.classList.contains('btn-ovr-approve')) { try { adminOverride(id, 'APPROVED', currentUser().id); toast('Approved by admin', 'success'); draw(); renderDashboard(currentUser()); } catch (err) { toast(err.message, 'error'); } }
-      if (e.target.classList.contains('btn-ovr-reject')) { try { adminOverride(id, 'REJECTED', currentUser().id); toast('Rejected by admin', 'success'); draw(); renderDashboard(currentUser()); } catch (err) { toast(err.message, 'error'); } }
-    });
+  async function handleImportCommit(e) {
+    e.preventDefault();
+    if (!importState?.preview) return;
+    const user = currentUser();
+    const draft = $('#import-as-draft').checked;
+    const { created, failed } = importState.kind === 'users'
+      ? await commitUserImport(importState.preview)
+      : await commitExpenseImport(importState.preview, user, { draft });
+    const noun = importState.kind === 'users' ? 'user(s) imported' : draft ? 'expense(s) imported as drafts' : 'expense(s) imported and submitted';
+    toast(`${created} ${noun}`, 'success');
+    if (failed.length) toast(`Not imported: ${escapeHtml(failed.map(f => `line ${f.line}: ${f.error}`).join('; '))}`, 'error');
+    closeModal('import-modal');
+    renderUsersView(); renderExpensesView(user); renderApprovalsView(user); renderDashboard(user);
+  }
 
-    await draw();
+  function renderBackupView() {
+    const el = $('#backup-stats'); if (!el) return;
+    const data = readStores();
+    el.innerHTML = `<span class="chip">Schema v${Storage.get(KEYS.schema, 0)}</span> ` + RECORD_STORES.filter(n => Array.isArray(data[n]))
+      .map(n => `<span class="chip">${n}: ${data[n].length}</span>`).join(' ');
   }
 
-  async function renderApprovalsView(user) {
-    const tbody = $('#approvals-table tbody');
+  // The restore waits for a validated file; the parsed data is held until the admin confirms
+  let pendingRestore = null;
 
-    async function draw() {
-      const rows = listExpensesFor(user).filter(e => isUserApproverFor(e, user) && e.status === 'PENDING');
-      const items = rows.map(e => {
-        const emp = getUsers().find(u => u.id === e.userId);
-        const step = getCurrentStep(e);
-        return `<tr data-id="${e.id}">
-          <td>${fmtDate(e.date)}</td>
-          <td>${emp?.name || '-'}</td>
-          <td>${e.category}</td>
-          <td>${e.description}</td>
-          <td>${moneyFmt(e.amount, e.currency)}</td>
-          <td>${step.role || '-'}</td>
-          <td>
-            <button class="btn btn-primary btn-approve">Approve</button>
-            <button class="btn btn-ghost btn-reject">Reject</button>
-          </td>
-        </tr>`;
-      });
-      tbody.innerHTML = items.join('');
+  function handleBackupDownload() {
+    const backup = buildBackup();
+    downloadFile(`expense-backup-${todayStr()}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    toast('Backup downloaded', 'success');
+  }
+
+  async function handleRestoreFile() {
+    pendingRestore = null;
+    $('#restore-btn').disabled = true;
+    const file = $('#restore-file').files?.[0]; if (!file) return;
+    try {
+      let backup;
+      try { backup = JSON.parse(await file.text()); } catch { throw new Error('The file is not valid JSON'); }
+      const data = validateBackup(backup);
+      pendingRestore = { data, backup };
+      const counts = RECORD_STORES.filter(n => Array.isArray(data[n])).map(n => `${data[n].length} ${n}`).join(', ');
+      $('#restore-summary').innerHTML = `<i class="fa-solid fa-circle-check"></i> ${escapeHtml(backup.company || 'Backup')} from ${fmtDateTime(backup.exportedAt)} (schema v${backup.schemaVersion}${backup.schemaVersion < SCHEMA_VERSION ? `, upgraded to v${SCHEMA_VERSION}` : ''}): ${counts}.`;
+      $('#restore-btn').disabled = false;
+    } catch (err) {
+      $('#restore-summary').innerHTML = `<span class="budget-over">${escapeHtml(err.message)}</span>`;
     }
+  }
 
-    on(tbody, 'click', (e) => {
-      const tr = e.target.closest('tr'); if (!tr) return; const id = tr.dataset.id;
-      if (e.target.classList.contains('btn-approve')) openApproval('APPROVE', id);
-      if (e.target.classList.contains('btn-reject')) openApproval('REJECT', id);
-    });
+  function handleRestore(e) {
+    e.preventDefault();
+    if (!pendingRestore) return;
+    const mode = $('#restore-mode').value === 'replace' ? 'replace' : 'merge';
+    if (mode === 'replace' && !confirm('Replace ALL data in this browser with the backup? Anything not in the file is lost.')) return;
+    let result;
+    try {
+      const { summary, kept } = restoreBackup(pendingRestore.data, mode);
+      const conflicts = Object.entries(kept).map(([k, n]) => `${n} ${k}`).join(', ');
+      result = `Restored (${mode}): ${Object.entries(summary).map(([k, n]) => `${n} ${k}`).join(', ') || 'nothing new'}`
+        + (conflicts ? `. Kept the newer copy already here for ${conflicts}` : '');
+      toast(result, conflicts ? 'info' : 'success', conflicts ? 8000 : 2600);
+    } catch (err) { toast(err.message, 'error'); return; }
+    pendingRestore = null;
+    $('#restore-file').value = '';
+    $('#restore-btn').disabled = true;
+    $('#restore-summary').textContent = result;
+    const user = currentUser();
+    // The signed-in account may not exist in a replaced dataset
+    if (!user) { logout(); Storage.flush().then(() => location.reload()); return; }
+    enterApp(user).then(() => { setActiveView('backup-view'); renderBackupView(); });
+  }
 
-    await draw();
+  function saveBudgetFromModal() {
+    const id = $('#budget-id').value;
+    const budget = { id: id || uuid(), name: $('#budget-name').value.trim(), category: $('#budget-category').value, managerId: $('#budget-team').value, period: $('#budget-period').value === 'QUARTER' ? 'QUARTER' : 'MONTH', amount: parseFloat($('#budget-amount').value) };
+    if (!budget.name) { toast('Give the budget a name', 'error'); return; }
+    if (!(budget.amount > 0)) { toast('Budget amount must be greater than zero', 'error'); return; }
+    const list = getBudgets();
+    const idx = list.findIndex(b => b.id === id);
+    if (idx >= 0) list[idx] = budget; else list.push(budget);
+    setBudgets(list);
+    toast('Budget saved', 'success');
+    closeModal('budget-modal');
+    renderBudgetsView();
   }
 
-  function populateManagerSelect() {
+  // Managers and directors can head a team; the user themselves and their own reports are left out to avoid cycles
+  function populateManagerSelect(userId) {
     const sel = $('#user-manager'); if (!sel) return;
-    const managers = getUsers().filter(u => hasRole(u, ROLES.MANAGER));
-    sel.innerHTML = `<option value="">— None —</option>` + managers.map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+    const users = getUsers();
+    const excluded = new Set(userId ? [userId, ...reportIds(userId, users)] : []);
+    const managers = users.filter(u => !excluded.has(u.id) && (hasRole(u, ROLES.MANAGER) || hasRole(u, ROLES.DIRECTOR) || users.some(x => x.managerId === u.id)));
+    sel.innerHTML = `<option value="">— None —</option>` + managers.map(m => `<option value="${m.id}">${m.name} (${roleList(m).join(', ')})</option>`).join('');
   }
 
   function openUserModal(existing) {
@@ -573,28 +3391,49 @@
     $('#user-password').value = '';
     // Render dynamic role checkboxes
     renderRoleCheckboxes(existing?.roles || []);
-    // Manager field visibility
+    // Manager field visibility: anyone but a pure admin account can sit in the hierarchy
     const updateMgrVis = () => {
-      const employeeChecked = $$('.role-checkbox').find(cb => cb.value === ROLES.EMPLOYEE)?.checked;
-      $('#manager-select-wrap').classList.toggle('hidden', !employeeChecked);
+      const checked = $$('.role-checkbox').filter(cb => cb.checked).map(cb => cb.value);
+      $('#manager-select-wrap').classList.toggle('hidden', !checked.some(r => r !== ROLES.ADMIN));
     };
     $$('.role-checkbox').forEach(cb => on(cb, 'change', updateMgrVis));
     updateMgrVis();
-    populateManagerSelect();
+    populateManagerSelect(existing?.id);
     $('#user-manager').value = existing?.managerId || '';
     openModal('user-modal');
   }
 
+  function orgNodeHtml(user, users, seen) {
+    seen.add(user.id);
+    const kids = users.filter(u => u.managerId === user.id && !seen.has(u.id));
+    const total = reportIds(user.id, users).length;
+    return `<li><div class="org-node"><strong>${user.name}</strong> <span class="muted small">${roleList(user).join(', ')}${total ? ` · ${total} report${total > 1 ? 's' : ''}` : ''}</span></div>
+      ${kids.length ? `<ul>${kids.map(k => orgNodeHtml(k, users, seen)).join('')}</ul>` : ''}</li>`;
+  }
+
+  function renderOrgChart() {
+    const el = $('#org-chart'); if (!el) return;
+    const users = getUsers();
+    const cycles = findManagerCycles(users);
+    const inCycle = new Set(cycles.flat());
+    const roots = users.filter(u => !inCycle.has(u.id) && !users.some(m => m.id === u.managerId));
+    const seen = new Set();
+    const name = (id) => users.find(u => u.id === id)?.name || id;
+    el.innerHTML = (cycles.length ? `<div class="changes-note">Reporting cycle found: ${cycles.map(c => [...c, c[0]].map(name).join(' → ')).join('; ')}. Edit one of these users to choose a different manager.</div>` : '')
+      + `<ul class="org-tree">${roots.map(r => orgNodeHtml(r, users, seen)).join('')}</ul>`;
+  }
+
   function renderUsersView() {
     const tbody = $('#users-table tbody');
     const users = getUsers();
+    renderOrgChart();
     tbody.innerHTML = users.map(u => {
       const mgr = users.find(x => x.id === u.managerId);
       return `<tr data-id="${u.id}">
         <td>${u.name}</td>
         <td>${u.email}</td>
         <td>${(u.roles || []).join(', ')}</td>
-        <td>${mgr ? mgr.name : '-'}</td>
+        <td>${mgr ? mgr.name : '-'}${u.delegation ? `<div class="muted small">${isDelegationActive(u) ? 'Away' : 'Away (scheduled)'} ${u.delegation.from} → ${u.delegation.to}, delegate: ${users.find(x => x.id === u.delegation.delegateId)?.name || '-'}</div>` : ''}</td>
         <td>
           <button class="btn btn-ghost btn-edit"><i class="fa-solid fa-pen"></i></button>
           ${u.id === 'u-admin' ? '' : '<button class="btn btn-ghost btn-del"><i class="fa-solid fa-trash"></i></button>'}
@@ -602,6 +3441,8 @@
       </tr>`;
     }).join('');
 
+    if (tbody.dataset.bound) return;
+    tbody.dataset.bound = 'true';
     on(tbody, 'click', (e) => {
       const tr = e.target.closest('tr'); if (!tr) return; const id = tr.dataset.id; const u = getUsers().find(x => x.id === id);
       const editBtn = e.target.closest('.btn-edit');
@@ -612,22 +3453,13 @@
         // Prevent deleting yourself
         const me = currentUser(); if (me && me.id === id) { toast("You can't delete your own account.", 'error'); return; }
         // Admin immediate delete (no confirmation)
+        const removed = getUsers().find(x => x.id === id);
         const list = getUsers().filter(x => x.id !== id);
-        // Cleanup manager references
-        let hasToastShown = false;
-
-list.forEach(x => {
-  if (x.managerId === id) {
-    x.managerId = '';
-    if (!hasToastShown) {
-      toast('User deleted', 'success');
-      hasToastShown = true;
-    }
-  }
-});
-
-setUsers(list);
-renderUsersView();
+        // Reports move up to the removed user's own manager so the tree stays connected
+        list.forEach(x => { if (x.managerId === id) x.managerId = removed?.managerId || ''; });
+        setUsers(list);
+        toast('User deleted', 'success');
+        renderUsersView();
 
       }
     });
@@ -638,7 +3470,8 @@ renderUsersView();
     $('#rule-percentage-enabled').checked = !!r.percentageRule?.enabled;
     $('#rule-percentage-threshold').value = r.percentageRule?.threshold ?? 50;
     $('#rule-cfo-enabled').checked = !!r.specificApproverRule?.enabled;
-    $('#rule-hybrid-enabled').checked = !!r.hybrid?.enabled;
+    $('#rule-hybrid-enabled').checked = !!hybridModeOf(r);
+    $('#rule-hybrid-mode').value = r.hybrid?.mode === 'AND' ? 'AND' : 'OR';
     // Populate specific approver role selector
     const sel = $('#rule-cfo-role');
     if (sel) {
@@ -649,18 +3482,66 @@ renderUsersView();
     }
     // Render steps editor from current rules
     renderStepsEditor();
+    renderRoutesEditor();
+    renderSlaEditor();
+    $('#budget-rule-enabled').checked = !!r.budgetRule?.enabled;
+    $('#budget-rule-role').innerHTML = stepsEditorRolesOptions(r.budgetRule?.role || DEFAULT_RULES.budgetRule.role);
+    renderPolicyEditor();
   }
 
   // ==========================
   // Modal flows
   // ==========================
-  function openApproval(decision, expenseId) {
+  const APPROVAL_TITLES = { APPROVE: 'Approve Expense', REJECT: 'Reject Expense', REQUEST_CHANGES: 'Request Changes' };
+
+  // kind: 'expense' | 'report' | 'line' (one expense inside a report, given by lineId) | 'bulk' (comma-separated expense ids)
+  function openApproval(decision, expenseId, kind = 'expense', lineId = '') {
     $('#approval-decision').value = decision;
     $('#approval-expense-id').value = expenseId;
+    $('#approval-kind').value = kind;
+    $('#approval-line-id').value = lineId;
     $('#approval-comment').value = '';
+    const count = kind === 'bulk' ? expenseId.split(',').length : 0;
+    $('#approval-modal-title').textContent = kind === 'line' ? 'Reject Line'
+      : kind === 'bulk' ? `${decision === 'APPROVE' ? 'Approve' : 'Reject'} ${count} Expense${count === 1 ? '' : 's'}`
+      : `${APPROVAL_TITLES[decision] || 'Approval Action'}${kind === 'report' ? ' (report)' : ''}`;
+    // Sending an expense back or rejecting one line is only useful with an explanation
+    const needsComment = decision === 'REQUEST_CHANGES' || kind === 'line';
+    $('#approval-comment').required = needsComment;
+    $('#approval-comment-label').firstChild.textContent = needsComment ? 'What needs to change? ' : 'Comment (optional) ';
     openModal('approval-modal');
   }
 
+  async function receiptButtonHtml(expense) {
+    if (!expense.receipt?.attachment) return '';
+    let thumb = null;
+    if (expense.receipt.attachment.hasThumb) { try { thumb = (await Attachments.get(expense.id))?.thumb; } catch { /* show icon */ } }
+    const inner = thumb ? `<img class="receipt-thumb" src="${thumb}" alt="Receipt"/>` : '<i class="fa-solid fa-paperclip"></i>';
+    return `<button class="btn btn-ghost btn-receipt" title="View receipt">${inner}</button>`;
+  }
+
+  let receiptViewerUrl = null;
+  async function openReceiptViewer(expenseId) {
+    const expense = getExpenses().find(e => e.id === expenseId);
+    if (!expense) { toast('Expense not found', 'error'); return; }
+    let rec = null;
+    try { rec = await Attachments.get(expenseId); } catch { /* handled below */ }
+    if (receiptViewerUrl) { URL.revokeObjectURL(receiptViewerUrl); receiptViewerUrl = null; }
+    const body = $('#receipt-view');
+    if (!rec) {
+      body.innerHTML = `<p class="muted">The receipt file for this expense is not available in this browser.</p>`;
+    } else {
+      receiptViewerUrl = URL.createObjectURL(rec.blob);
+      body.innerHTML = rec.type === 'application/pdf'
+        ? `<iframe class="receipt-frame" src="${receiptViewerUrl}" title="${escapeHtml(rec.fileName)}"></iframe>`
+        : `<img class="receipt-full" src="${receiptViewerUrl}" alt="${escapeHtml(rec.fileName)}"/>`;
+    }
+    const meta = [expense.receipt.fileName, rec ? `${Math.round(rec.size / 1024)} KB` : null].filter(Boolean).join(' · ');
+    $('#receipt-meta').innerHTML = `<div>${escapeHtml(meta)}</div>${expense.receipt.ocr ? `<div class="muted">${escapeHtml(ocrSummary(expense.receipt))}</div>` : ''}
+      ${rec ? `<a class="btn btn-ghost" href="${receiptViewerUrl}" download="${escapeHtml(rec.fileName)}"><i class="fa-solid fa-download"></i> Download</a>` : ''}`;
+    openModal('receipt-modal');
+  }
+
   // Render role checkboxes dynamically inside the user modal
   function renderRoleCheckboxes(selected) {
     const wrap = $('#roles-checkboxes');
@@ -675,62 +3556,418 @@ renderUsersView();
     const decision = $('#approval-decision').value;
     const expenseId = $('#approval-expense-id').value;
     const comment = $('#approval-comment').value;
+    const kind = $('#approval-kind').value || 'expense';
     try {
-      const status = approveOrReject(expenseId, currentUser().id, decision, comment);
-      toast(`Expense ${status.toLowerCase()}`, 'success');
+      const user = currentUser();
+      if (kind === 'line') {
+        rejectReportLine(expenseId, $('#approval-line-id').value, user.id, comment);
+        toast('Line rejected and returned to the submitter', 'success');
+      } else if (kind === 'bulk') {
+        const { done, failed } = bulkApproveOrReject(expenseId.split(','), user.id, decision, comment);
+        const expenses = getExpenses();
+        const label = (id) => expenses.find(x => x.id === id)?.description || 'Unknown expense';
+        const concluded = done.filter(d => d.status === 'APPROVED' || d.status === 'REJECTED').length;
+        if (done.length) toast(`${done.length} expense(s) ${decision === 'APPROVE' ? 'approved' : 'rejected'}${decision === 'APPROVE' && concluded < done.length ? `; ${done.length - concluded} now wait for their next approval step` : ''}`, 'success');
+        if (failed.length) toast(`${failed.length} not processed: ${failed.map(f => `${label(f.id)} (${f.error})`).join('; ')}`, 'error');
+        approvalSelection.clear();
+      } else {
+        const status = kind === 'report' ? decideReport(expenseId, user.id, decision, comment) : approveOrReject(expenseId, user.id, decision, comment);
+        toast(status === 'CHANGES_REQUESTED' ? 'Sent back to the submitter for changes' : `${kind === 'report' ? 'Report' : 'Expense'} ${status.toLowerCase()}`, 'success');
+      }
       closeModal('approval-modal');
-      renderApprovalsView(currentUser());
-      renderExpensesView(currentUser());
-      renderDashboard(currentUser());
+      renderApprovalsView(user);
+      renderExpensesView(user);
+      renderReportsView(user);
+      renderDashboard(user);
     } catch (err) { toast(err.message, 'error'); }
   }
 
-  function openExpenseModal() {
-    $('#expense-modal-title').textContent = 'New Expense';
-    $('#exp-amount').value = '';
-    $('#exp-currency').value = getCompany()?.currencyCode || 'USD';
-    $('#exp-category').value = 'Travel';
-    $('#exp-date').valueAsDate = new Date();
-    $('#exp-description').value = '';
+  // mode: 'new' | 'edit' (drafts and untouched pending expenses) | 'resubmit' (rejected or withdrawn)
+  function openExpenseModal(existing = null, mode = existing ? 'edit' : 'new') {
+    const changes = existing?.status === 'CHANGES_REQUESTED';
+    const titles = { new: 'New Expense', edit: existing?.status === 'DRAFT' ? 'Edit Draft' : changes ? 'Update Requested Changes' : 'Edit Expense', resubmit: 'Revise & Resubmit' };
+    const submitLabels = { new: 'Submit Expense', edit: existing?.status === 'DRAFT' ? 'Submit Expense' : changes ? 'Submit Changes' : 'Save Changes', resubmit: 'Resubmit' };
+    const request = changes ? latestChangeRequest(existing) : null;
+    const requester = request ? getUsers().find(u => u.id === request.by) : null;
+    $('#exp-changes-note').innerHTML = request ? `<i class="fa-solid fa-comment-dots"></i> ${escapeHtml(requester?.name || 'Approver')} asked for changes: ${escapeHtml(request.comment || request.note)}` : '';
+    $('#exp-changes-note').classList.toggle('hidden', !request);
+    $('#expense-modal-title').textContent = titles[mode];
+    $('#exp-id').value = existing?.id || '';
+    $('#exp-mode').value = mode;
+    $('#exp-amount').value = existing ? existing.amount : '';
+    $('#exp-currency').value = existing?.currency || getCompany()?.currencyCode || 'USD';
+    $('#exp-category').innerHTML = categoryOptions(existing?.category);
+    $('#exp-category').value = existing?.category || activeCategories()[0]?.id || '';
+    if (existing?.date) $('#exp-date').value = existing.date.slice(0, 10); else $('#exp-date').value = todayStr();
+    $('#exp-description').value = existing?.description || '';
+    $('#exp-type').value = existing?.type || EXPENSE_TYPES.STANDARD;
+    renderLineItemsEditor(existing?.items || []);
+    populateAllowanceInputs(existing?.calc);
     $('#exp-receipt').value = '';
+    $('#exp-receipt-current').textContent = existing?.receipt?.fileName ? `Current receipt: ${existing.receipt.fileName} (choose a file to replace it)` : '';
+    const inReport = !!existing?.reportId;
+    $('#btn-save-draft').classList.toggle('hidden', inReport || !(mode === 'new' || existing?.status === 'DRAFT'));
+    $('#btn-expense-submit').textContent = inReport ? 'Save Changes' : submitLabels[mode];
+    receiptOcr = null; renderOcrResult(null);
+    updateBudgetNote();
     openModal('expense-modal');
   }
 
-  function simulateOCR() {
+  async function populateAllowanceInputs(calc) {
+    const cfg = getAllowances();
+    $('#exp-distance-unit').textContent = cfg.mileage.unit;
+    $('#exp-vehicle').innerHTML = cfg.mileage.vehicles.map(v => `<option value="${v.id}">${escapeHtml(v.name)}</option>`).join('');
+    $('#exp-distance').value = calc?.distance ?? '';
+    $('#exp-days').value = calc?.days ?? '';
+    if (calc?.vehicle) $('#exp-vehicle').value = calc.vehicle;
+    updateAllowanceUI();
+    const countries = Array.from(new Set((await fetchCountries()).map(c => c.country)));
+    $('#exp-country').innerHTML = countries.map(c => `<option>${c}</option>`).join('');
+    $('#exp-country').value = calc?.country || getCompany()?.country || countries[0] || '';
+    updateAllowanceUI();
+  }
+
+  function lineItemRowHtml(item) {
+    return `<div class="step-row item-row" data-id="${item.id || ''}">
+      <select class="item-category">${categoryOptions(item.category)}</select>
+      <input class="item-amount" type="number" min="0" step="0.01" value="${item.amount ?? ''}" placeholder="Amount" />
+      <input class="item-description" type="text" value="${escapeHtml(item.description)}" placeholder="What was it for?" />
+      <button type="button" class="icon-btn btn-del" title="Remove line"><i class="fa-solid fa-trash"></i></button>
+    </div>`;
+  }
+
+  function renderLineItemsEditor(items) {
+    $('#exp-items').innerHTML = items.map(lineItemRowHtml).join('');
+    updateLineItemsUI();
+  }
+
+  // Null while the expense is not split
+  function readLineItems() {
+    const rows = $$('#exp-items .item-row');
+    if (!rows.length) return null;
+    return rows.map(row => ({ id: row.dataset.id || uuid(), category: $('.item-category', row).value, amount: parseFloat($('.item-amount', row).value), description: $('.item-description', row).value.trim() }));
+  }
+
+  function updateLineItemsUI() {
+    const items = readLineItems();
+    const split = !!items;
+    $('#exp-items').classList.toggle('hidden', !split);
+    $('#btn-add-item').classList.toggle('hidden', !split);
+    $('#btn-split').innerHTML = split ? '<i class="fa-solid fa-xmark"></i> Remove split' : '<i class="fa-solid fa-list"></i> Split into line items';
+    $('#exp-category').disabled = split;
+    const summary = $('#exp-items-summary');
+    if (!split) { summary.textContent = ''; return; }
+    const total = parseFloat($('#exp-amount').value) || 0; const ccy = $('#exp-currency').value;
+    const sum = items.reduce((s, l) => s + (l.amount || 0), 0);
+    const left = Math.round((total - sum) * 100) / 100;
+    summary.textContent = `Allocated ${moneyFmt(sum, ccy)} of ${moneyFmt(total, ccy)}${left ? ` · ${moneyFmt(left, ccy)} ${left > 0 ? 'left' : 'over'}` : ''}`;
+    summary.classList.toggle('budget-over', !!left);
+  }
+
+  function bindLineItemsEditor() {
+    on($('#btn-split'), 'click', () => {
+      if (readLineItems()) { renderLineItemsEditor([]); return; }
+      const amount = parseFloat($('#exp-amount').value);
+      renderLineItemsEditor([{ category: $('#exp-category').value, amount: Number.isFinite(amount) ? amount : '', description: '' }, { category: $('#exp-category').value, amount: '', description: '' }]);
+    });
+    on($('#btn-add-item'), 'click', () => { $('#exp-items').insertAdjacentHTML('beforeend', lineItemRowHtml({ category: $('#exp-category').value })); updateLineItemsUI(); });
+    on($('#exp-items'), 'click', (e) => { if (e.target.closest('.btn-del')) { e.target.closest('.item-row').remove(); updateLineItemsUI(); } });
+    on($('#exp-items'), 'input', updateLineItemsUI);
+    on($('#exp-amount'), 'input', updateLineItemsUI);
+  }
+
+  function readAllowanceForm() {
+    const type = $('#exp-type').value;
+    if (type === EXPENSE_TYPES.MILEAGE) return { type, distance: parseFloat($('#exp-distance').value), vehicle: $('#exp-vehicle').value };
+    if (type === EXPENSE_TYPES.PER_DIEM) return { type, country: $('#exp-country').value, days: parseFloat($('#exp-days').value) };
+    return null;
+  }
+
+  // Computed claims lock amount and currency to the calculation
+  function updateAllowanceUI() {
+    const type = $('#exp-type').value;
+    $$('#expense-form .allow-field').forEach(el => el.classList.toggle('hidden', el.dataset.type !== type));
+    const input = readAllowanceForm();
+    // Computed claims are a single line by nature
+    $('#exp-lines-wrap').classList.toggle('hidden', !!input);
+    if (input && readLineItems()) renderLineItemsEditor([]);
+    $('#exp-amount').readOnly = !!input;
+    $('#exp-currency').disabled = !!input;
+    const note = $('#exp-calc-note');
+    note.classList.toggle('hidden', !input);
+    if (!input) return;
+    $('#exp-currency').value = getCompany()?.currencyCode || 'USD';
+    try {
+      const calc = computeAllowance(input);
+      $('#exp-amount').value = calc.amount.toFixed(2);
+      note.innerHTML = `<i class="fa-solid fa-calculator"></i> ${escapeHtml(calc.breakdown)} = <strong>${moneyFmt(calc.amount, calc.currency)}</strong>`;
+    } catch (err) {
+      $('#exp-amount').value = '';
+      note.textContent = err.message;
+    }
+  }
+
+  // Budgets the expense in the form would exceed; drafts and withdrawn items do not count yet
+  async function formBudgetOverruns() {
+    const fields = readExpenseForm();
+    if (!Number.isFinite(fields.amount)) return [];
+    const impact = await budgetImpact({ ...fields, id: $('#exp-id').value, userId: currentUser()?.id });
+    return impact.filter(x => x.over);
+  }
+
+  async function updateBudgetNote() {
+    const el = $('#exp-budget-note'); if (!el) return;
+    const over = await formBudgetOverruns();
+    el.innerHTML = over.length ? `<i class="fa-solid fa-triangle-exclamation"></i> Exceeds budget: ${escapeHtml(over.map(budgetImpactLabel).join('; '))}` : '';
+    el.classList.toggle('hidden', !over.length);
+  }
+
+  // OCR result for the file currently selected in #exp-receipt; cleared whenever the file changes
+  let receiptOcr = null;
+  const fileKey = (file) => file ? `${file.name}:${file.size}:${file.lastModified}` : '';
+
+  function renderOcrResult(ocr) {
+    const el = $('#ocr-result'); if (!el) return;
+    if (!ocr) { el.classList.add('hidden'); el.innerHTML = ''; return; }
+    const f = ocr.fields;
+    const chip = (label, x) => `<span class="chip ${x ? (x.confidence >= 0.7 ? 'conf-high' : x.confidence >= 0.45 ? 'conf-mid' : 'conf-low') : 'conf-none'}">${label}: ${x ? `${x.value} · ${Math.round(x.confidence * 100)}%` : 'not found'}</span>`;
+    el.innerHTML = `<span class="muted">Extracted (${ocr.engine}):</span> ${chip('Total', f.amount)} ${chip('Currency', f.currency)} ${chip('Date', f.date)} ${chip('Merchant', f.merchant)}`;
+    el.classList.remove('hidden');
+  }
+
+  async function runReceiptOCR() {
+    const file = $('#exp-receipt').files?.[0];
+    if (!file) { toast('Choose a receipt image first', 'error'); return; }
+    const btn = $('#btn-ocr'); btn.disabled = true;
+    try {
+      const { engine, text, confidence } = await recognizeReceipt(file);
+      const knownCodes = $$('#exp-currency option').map(o => o.value);
+      const fields = parseReceiptText(text, { knownCodes, ocrConfidence: confidence });
+      receiptOcr = { key: fileKey(file), ocr: { engine, confidence: +confidence.toFixed(2), at: nowIso(), fields }, text };
+      // Prefill what was found; the user can still correct anything before saving
+      if (fields.amount && !$('#exp-amount').readOnly) $('#exp-amount').value = fields.amount.value.toFixed(2);
+      if (fields.currency && knownCodes.includes(fields.currency.value) && !$('#exp-currency').disabled) $('#exp-currency').value = fields.currency.value;
+      if (fields.date) $('#exp-date').value = fields.date.value;
+      if (fields.merchant && !$('#exp-description').value.trim()) $('#exp-description').value = fields.merchant.value;
+      renderOcrResult(receiptOcr.ocr);
+      const found = Object.values(fields).filter(Boolean).length;
+      toast(found ? `Receipt read: ${found} of 4 fields extracted` : 'Receipt read, but no fields were recognized', found ? 'success' : 'info');
+    } catch (err) {
+      toast(err.message, 'error');
+    } finally { btn.disabled = false; }
+  }
+
+  function onReceiptFileChange() {
+    receiptOcr = null; renderOcrResult(null);
     const file = $('#exp-receipt').files?.[0];
-    let text = '';
+    if (!file) return;
+    try { validateReceiptFile(file); } catch (err) { toast(err.message, 'error'); $('#exp-receipt').value = ''; return; }
+    if (file.type.startsWith('image/')) runReceiptOCR();
+  }
+
+  function readExpenseForm() {
+    const allowance = readAllowanceForm();
+    let calc = null;
+    if (allowance) { try { calc = computeAllowance(allowance); } catch { /* incomplete; reported on submit */ } }
+    const items = allowance ? null : readLineItems();
+    const largest = items?.slice().sort((a, b) => (b.amount || 0) - (a.amount || 0))[0];
+    return {
+      type: allowance?.type || EXPENSE_TYPES.STANDARD,
+      calc,
+      items,
+      amount: allowance ? (calc ? calc.amount : NaN) : parseFloat($('#exp-amount').value),
+      currency: calc ? calc.currency : $('#exp-currency').value,
+      category: largest?.category || $('#exp-category').value,
+      date: new Date($('#exp-date').valueAsDate || new Date()).toISOString(),
+      description: ($('#exp-description').value || '').trim(),
+    };
+  }
+
+  async function saveExpenseFromModal({ draft }) {
+    const user = currentUser(); if (!user) return;
+    const id = $('#exp-id').value; const mode = $('#exp-mode').value || 'new';
+    const fields = readExpenseForm();
+    // Report members are saved in place; the report is what gets submitted
+    const inReport = !!(id && getExpenses().find(x => x.id === id)?.reportId);
+    const submitting = !draft && !inReport;
+    if (draft) { if (!Number.isFinite(fields.amount)) fields.amount = 0; } else if (!$('#expense-form').reportValidity()) return;
+    if (!draft && fields.type !== EXPENSE_TYPES.STANDARD) {
+      try { computeAllowance(readAllowanceForm()); } catch (err) { toast(err.message, 'error'); return; }
+    }
+    if (!draft && fields.items) {
+      const itemsError = validateLineItems(fields.items, fields.amount, fields.currency);
+      if (itemsError) { toast(itemsError, 'error'); return; }
+    }
+    const file = $('#exp-receipt').files?.[0];
+    if (file) { try { validateReceiptFile(file); } catch (err) { toast(err.message, 'error'); return; } }
+    let checks = null, receiptHash = null;
+    if (submitting) {
+      const existing = id ? getExpenses().find(x => x.id === id) : null;
+      receiptHash = file ? await hashReceiptFile(file) : null;
+      const candidate = { ...fields, id, userId: user.id, receipt: file ? { fileName: file.name, hash: receiptHash } : existing?.receipt };
+      checks = await submissionChecks(candidate, { hasReceipt: !!file || !!existing?.receipt?.fileName });
+      if (checks.blocking.length) { toast(`Policy: ${escapeHtml(checks.blocking.map(v => v.message).join('; '))}`, 'error'); return; }
+      const { duplicates } = checks;
+      if (duplicates.length) {
+        const lines = duplicates.map(d => `• ${fmtDate(d.expense.date)} ${d.expense.description || categoryLabel(d.expense.category)} ${moneyFmt(d.expense.amount, d.expense.currency)} (${d.expense.status}): ${d.reasons.join(', ')}`);
+        if (!confirm(`This looks like an expense you already claimed:\n${lines.join('\n')}\n\nSubmit anyway? Approvers will see it flagged as a possible duplicate.`)) return;
+      }
+      const over = await formBudgetOverruns();
+      if (over.length && !confirm(`This expense exceeds a budget: ${over.map(budgetImpactLabel).join('; ')}. Submit anyway?`)) return;
+    }
+
+    let exp;
+    if (id) {
+      // A copy, so the stored expense stays as it was if submission fails part way
+      exp = structuredClone(getExpenses().find(x => x.id === id));
+      if (!exp) { toast('Expense not found', 'error'); return; }
+      const allowed = mode === 'resubmit' ? canResubmitExpense(exp, user) : canEditExpense(exp, user);
+      if (!allowed) { toast('This expense can no longer be changed', 'error'); return; }
+      Object.assign(exp, fields);
+    } else {
+      exp = newExpenseRecord(fields, user);
+    }
     if (file) {
-      // basic simulation using filename and size
-      const name = file.name.replace(/\.[^.]+$/, '');
-      text = `Receipt: ${name} · ${Math.round(file.size / 1024)}KB · ${file.type}`;
+      const ocr = receiptOcr?.key === fileKey(file) ? receiptOcr : null;
+      receiptHash = receiptHash || await hashReceiptFile(file);
+      exp.receipt = { fileName: file.name, text: ocr?.text || '', ...(ocr ? { ocr: ocr.ocr } : {}), ...(receiptHash ? { hash: receiptHash } : {}) };
+    }
+
+    // Warnings are re-evaluated on every submission so fixed issues drop off
+    if (draft) delete exp.policy; else if (submitting) applySubmissionChecks(exp, checks);
+
+    let message;
+    if (draft || inReport) {
+      if (!id) recordHistory(exp, 'DRAFT', user.id, null, 'Draft created');
+      message = inReport ? 'Expense updated' : 'Draft saved';
+    } else if (mode === 'resubmit') {
+      await resubmitExpense(exp, user);
+      message = 'Expense resubmitted';
+    } else if (exp.status === 'CHANGES_REQUESTED') {
+      message = await resumeAfterChanges(exp, user) ? 'Changes submitted; the new amount or category needs a different approval route' : 'Changes submitted; approval resumed';
     } else {
-      text = 'Receipt: No image provided';
+      // Edits to a pending expense restart routing since amount or category may select a different route
+      const wasPending = exp.status === 'PENDING';
+      if (wasPending) recordHistory(exp, 'EDITED', user.id, null, 'Edited by submitter before any decision');
+      await startApprovalRound(exp, user);
+      message = wasPending ? 'Expense updated' : 'Expense submitted';
     }
-    const cur = $('#exp-description').value;
-    $('#exp-description').value = cur ? `${cur}\n${text}` : text;
-    toast('OCR simulated: text extracted', 'info');
+
+    if (file) {
+      try { exp.receipt.attachment = await saveReceiptAttachment(exp.id, file); } catch (err) { toast(`Receipt not stored: ${err.message}`, 'error'); }
+    }
+    if (id) updateExpense(exp); else addExpense(exp);
+    toast(message, 'success');
+    closeModal('expense-modal');
+    renderExpensesView(user); renderApprovalsView(user); renderDashboard(user);
+    if (inReport) renderReportsView(user);
   }
 
-  async function handleExpenseSubmit(e) {
-    e.preventDefault(); const user = currentUser(); if (!user) return;
-    const amount = parseFloat($('#exp-amount').value);
-    const currency = $('#exp-currency').value;
-    const category = $('#exp-category').value;
-    const date = new Date($('#exp-date').valueAsDate || new Date()).toISOString();
-    const description = ($('#exp-description').value || '').trim();
-    const file = $('#exp-receipt').files?.[0];
-    const receipt = file ? { fileName: file.name, text: (description.match(/Receipt:[\s\S]+$/m)?.[0] || '') } : { fileName: '', text: '' };
+  function handleExpenseSubmit(e) {
+    e.preventDefault();
+    saveExpenseFromModal({ draft: false });
+  }
+
+  function renderRecurringList() {
+    const user = currentUser(); if (!user) return;
+    const tbody = $('#recurring-table tbody');
+    tbody.innerHTML = getRecurring().filter(t => t.userId === user.id).map(t => {
+      const next = t.active ? nextOccurrence(t) : null;
+      return `<tr data-id="${t.id}">
+        <td>${t.description}</td>
+        <td>${moneyFmt(t.amount, t.currency)}</td>
+        <td>${categoryCell(t.category)}</td>
+        <td>${FREQUENCY_LABELS[t.frequency]}<div class="muted small">${fmtDate(t.startDate)}${t.endDate ? ` – ${fmtDate(t.endDate)}` : ' onwards'}</div></td>
+        <td>${!t.active ? '<span class="muted">Paused</span>' : next ? fmtDate(next) : '<span class="muted">Ended</span>'}</td>
+        <td>
+          <button class="btn btn-ghost btn-edit" title="Edit"><i class="fa-solid fa-pen"></i></button>
+          <button class="btn btn-ghost btn-toggle">${t.active ? 'Pause' : 'Resume'}</button>
+          <button class="btn btn-ghost btn-del" title="Delete template"><i class="fa-solid fa-trash"></i></button>
+        </td>
+      </tr>`;
+    }).join('') || '<tr><td colspan="6" class="muted">No recurring expenses yet.</td></tr>';
+  }
+
+  function fillRecurringForm(t) {
+    $('#recurring-id').value = t?.id || '';
+    $('#recurring-description').value = t?.description || '';
+    $('#recurring-amount').value = t?.amount ?? '';
+    $('#recurring-currency').innerHTML = $('#exp-currency').innerHTML;
+    $('#recurring-currency').value = t?.currency || getCompany()?.currencyCode || 'USD';
+    $('#recurring-category').innerHTML = categoryOptions(t?.category);
+    $('#recurring-frequency').value = t?.frequency || 'MONTHLY';
+    $('#recurring-start').value = t?.startDate || todayStr();
+    $('#recurring-end').value = t?.endDate || '';
+    $('#recurring-save-btn').textContent = t ? 'Save Template' : 'Add Template';
+    $('#recurring-cancel-btn').classList.toggle('hidden', !t);
+  }
+
+  function openRecurringModal() {
+    fillRecurringForm(null);
+    renderRecurringList();
+    openModal('recurring-modal');
+  }
 
-    const exp = {
-      id: uuid(), userId: user.id, amount, currency, category, description, date,
-      status: 'PENDING', receipt,
-      approvals: { stepIndex: 0, steps: getRules().steps.map(r => ({ role: r, approvals: [] })) },
-      createdAt: nowIso(), history: [{ at: nowIso(), status: 'PENDING', by: user.id }]
+  async function refreshAfterRecurringChange() {
+    const created = await generateRecurringExpenses();
+    const user = currentUser();
+    renderRecurringList();
+    if (created.length) {
+      toast(`${created.length} recurring expense(s) generated`, 'success');
+      renderExpensesView(user); renderApprovalsView(user); renderDashboard(user);
+    }
+  }
+
+  function handleRecurringSubmit(e) {
+    e.preventDefault();
+    const user = currentUser();
+    const id = $('#recurring-id').value;
+    const list = getRecurring();
+    const existing = list.find(t => t.id === id);
+    const startDate = $('#recurring-start').value;
+    const template = {
+      ...(existing || { id: uuid(), userId: user.id, active: true, lastGenerated: null, createdAt: nowIso() }),
+      description: $('#recurring-description').value.trim(), amount: parseFloat($('#recurring-amount').value), currency: $('#recurring-currency').value,
+      category: $('#recurring-category').value, frequency: $('#recurring-frequency').value, startDate, endDate: $('#recurring-end').value || '',
     };
-    addExpense(exp);
-    toast('Expense submitted', 'success');
-    closeModal('expense-modal');
-    renderExpensesView(user); renderDashboard(user);
+    const error = validateRecurring(template);
+    if (error) { toast(error, 'error'); return; }
+    // A new schedule starts over; occurrences already generated stay claimed
+    if (existing && (existing.startDate !== startDate || existing.frequency !== template.frequency)) template.lastGenerated = existing.lastGenerated && existing.lastGenerated >= startDate ? existing.lastGenerated : null;
+    // An old start date would submit months of back-claims on the next run; only do that when asked to
+    const due = template.active ? recurringOccurrences(template) : [];
+    if (due.length > 1 && !confirm(`${due.length} occurrences since ${fmtDate(due[0])} are already due. Submit them all as back-claims? Cancel to claim only the latest (${fmtDate(due.at(-1))}).`)) {
+      template.lastGenerated = due.at(-2);
+    }
+    if (existing) list[list.indexOf(existing)] = template; else list.push(template);
+    setRecurring(list);
+    toast('Recurring expense saved', 'success');
+    fillRecurringForm(null);
+    refreshAfterRecurringChange();
+  }
+
+  function bindRecurringEditor() {
+    on($('#recurring-btn'), 'click', openRecurringModal);
+    on($('#recurring-form'), 'submit', handleRecurringSubmit);
+    on($('#recurring-cancel-btn'), 'click', () => fillRecurringForm(null));
+    on($('#recurring-table tbody'), 'click', (e) => {
+      const tr = e.target.closest('tr[data-id]'); if (!tr) return;
+      const list = getRecurring();
+      const t = list.find(x => x.id === tr.dataset.id); if (!t) return;
+      if (e.target.closest('.btn-edit')) fillRecurringForm(t);
+      if (e.target.closest('.btn-toggle')) {
+        t.active = !t.active;
+        // Occurrences that fell due while paused are skipped, not backfilled on resume
+        const missed = t.active ? recurringOccurrences(t).filter(d => d < todayStr()) : [];
+        if (missed.length) t.lastGenerated = missed.at(-1);
+        setRecurring(list); refreshAfterRecurringChange();
+      }
+      if (e.target.closest('.btn-del') && confirm(`Delete the recurring expense "${t.description}"? Expenses already generated stay.`)) {
+        setRecurring(list.filter(x => x.id !== t.id));
+        toast('Recurring expense deleted', 'success');
+        renderRecurringList();
+      }
+    });
   }
 
   async function handleCompanySetup(e) {
@@ -744,14 +3981,14 @@ renderUsersView();
     // Create admin user
     const uname = $('#setup-admin-name').value.trim();
     const email = $('#setup-admin-email').value.trim();
-    const pass = $('#setup-admin-password').value;
+    const passwordHash = await hashText($('#setup-admin-password').value);
     const users = getUsers();
     // Prevent duplicate emails
     if (users.some(u => u.email.toLowerCase() === email.toLowerCase())) {
       toast('Email already exists. Please use a different email.', 'error');
       return;
     }
-    users.push({ id: uuid(), name: uname, email, roles: [ROLES.ADMIN], managerId: '', passwordHash: await hashText(pass), createdAt: nowIso() });
+    users.push({ id: uuid(), name: uname, email, roles: [ROLES.ADMIN], managerId: '', passwordHash, createdAt: nowIso() });
     setUsers(users);
     toast('Company setup completed. You can now sign in.', 'success');
     closeModal('company-setup-modal');
@@ -764,6 +4001,10 @@ renderUsersView();
     on($('#sidebar-toggle'), 'click', () => $('#sidebar').classList.toggle('open'));
     $$('#sidebar .nav-item').forEach(btn => on(btn, 'click', () => {
       setActiveView(btn.dataset.view);
+      if (btn.dataset.view === 'budgets-view') renderBudgetsView(); // consumption moves with every expense change
+      if (btn.dataset.view === 'payables-view') renderPayablesView();
+      if (btn.dataset.view === 'backup-view') renderBackupView();
+      if (btn.dataset.view === 'analytics-view') renderAnalyticsView(currentUser());
       $$('#sidebar .nav-item').forEach(b => b.classList.toggle('active', b === btn));
       if (window.innerWidth < 980) $('#sidebar').classList.remove('open');
     }));
@@ -794,10 +4035,20 @@ renderUsersView();
 
   function bindModals() {
     on($('#expense-form'), 'submit', handleExpenseSubmit);
-    on($('#btn-ocr'), 'click', simulateOCR);
+    on($('#btn-save-draft'), 'click', () => saveExpenseFromModal({ draft: true }));
+    on($('#btn-ocr'), 'click', runReceiptOCR);
+    on($('#exp-receipt'), 'change', onReceiptFileChange);
+    bindLineItemsEditor();
+    ['#exp-type', '#exp-distance', '#exp-vehicle', '#exp-country', '#exp-days'].forEach(sel => on($(sel), 'input', updateAllowanceUI));
+    ['#exp-amount', '#exp-currency', '#exp-category', '#exp-date', '#exp-type', '#exp-distance', '#exp-vehicle', '#exp-country', '#exp-days'].forEach(sel => on($(sel), 'change', updateBudgetNote));
     on($('#approval-form'), 'submit', handleApprovalSubmit);
     on($('#company-setup-form'), 'submit', handleCompanySetup);
-    on($('#new-expense-btn'), 'click', openExpenseModal);
+    on($('#new-expense-btn'), 'click', () => openExpenseModal());
+    on($('#export-csv-btn'), 'click', () => exportExpenses('csv'));
+    on($('#export-xlsx-btn'), 'click', () => exportExpenses('xlsx'));
+    on($('#export-journal-btn'), 'click', () => exportExpenses('journal'));
+    on($('#new-report-btn'), 'click', () => openReportModal(null));
+    on($('#report-form'), 'submit', handleReportSave);
     on($('#manage-roles-btn'), 'click', () => { renderRolesList(); openModal('roles-modal'); });
     on($('#role-add-form'), 'submit', (e) => { e.preventDefault(); handleAddRole(); });
     on($('#roles-list'), 'click', (e) => {
@@ -810,7 +4061,43 @@ renderUsersView();
       }
     });
 
+    on($('#ooo-btn'), 'click', openDelegationModal);
+    on($('#delegation-form'), 'submit', (e) => {
+      e.preventDefault();
+      try {
+        setDelegation(currentUser().id, { delegateId: $('#ooo-delegate').value, from: $('#ooo-from').value, to: $('#ooo-to').value });
+        toast('Out-of-office delegate saved', 'success');
+        closeModal('delegation-modal');
+        refreshAfterDelegationChange();
+      } catch (err) { toast(err.message, 'error'); }
+    });
+    on($('#ooo-clear'), 'click', () => {
+      setDelegation(currentUser().id, null);
+      toast('Delegation cleared', 'success');
+      closeModal('delegation-modal');
+      refreshAfterDelegationChange();
+    });
+
+    on($('#add-budget-btn'), 'click', () => openBudgetModal(null));
+    on($('#budget-form'), 'submit', (e) => { e.preventDefault(); saveBudgetFromModal(); });
+    on($('#issue-advance-btn'), 'click', openAdvanceModal);
+    on($('#advance-form'), 'submit', handleAdvanceSubmit);
+    on($('#payment-form'), 'submit', handlePaymentSubmit);
+
+    on($('#backup-download-btn'), 'click', handleBackupDownload);
+    on($('#restore-file'), 'change', handleRestoreFile);
+    on($('#restore-form'), 'submit', handleRestore);
+
     on($('#add-user-btn'), 'click', () => openUserModal(null));
+    on($('#import-users-btn'), 'click', () => openImportModal('users'));
+    on($('#import-expenses-btn'), 'click', () => openImportModal('expenses'));
+    on($('#import-file'), 'change', handleImportFile);
+    on($('#import-preview-btn'), 'click', previewImport);
+    on($('#import-form'), 'submit', handleImportCommit);
+    // A changed mapping or draft choice invalidates the dry run
+    on($('#import-mapping'), 'change', () => { $('#import-commit-btn').disabled = true; });
+    on($('#import-as-draft'), 'change', () => { $('#import-commit-btn').disabled = true; });
+    on($('#org-chart-btn'), 'click', () => { renderOrgChart(); $('#org-chart-panel').classList.toggle('hidden'); });
     on($('#user-form'), 'submit', async (e) => {
       e.preventDefault();
       const id = $('#user-id').value.trim();
@@ -818,15 +4105,9 @@ renderUsersView();
       const email = $('#user-email').value.trim();
       const pwd = $('#user-password').value;
       const roles = $$('.role-checkbox').filter(cb => cb.checked).map(cb => cb.value);
-      const managerId = $('#user-manager').value;
-      const list = getUsers();
-      if (id) {
-        const u = list.find(x => x.id === id);
-        u.name = name; u.email = email; u.roles = roles; u.managerId = managerId;
-        if (pwd) u.passwordHash = await hashText(pwd);
-      } else {
-        list.push({ id: uuid(), name, email, roles, managerId, passwordHash: await hashText(pwd || 'changeme'), createdAt: nowIso() });
-      }
+      const managerId = $('#manager-select-wrap').classList.contains('hidden') ? '' : $('#user-manager').value;
+      const list = structuredClone(getUsers());
+      try { await upsertUser({ id, name, email, roles, managerId, password: pwd }, list); } catch (err) { toast(err.message, 'error'); return; }
       setUsers(list);
       toast('User saved', 'success');
       closeModal('user-modal');
@@ -839,14 +4120,12 @@ renderUsersView();
   // Steps Editor (Rules)
   // ==========================
   function stepsEditorRolesOptions(selected) {
-    const roles = getAllRoles();
-    return roles.map(r => `<option value="${r}" ${r === selected ? 'selected' : ''}>${r}</option>`).join('');
+    const roles = [...getAllRoles(), SKIP_LEVEL_MANAGER];
+    return roles.map(r => `<option value="${r}" ${r === selected ? 'selected' : ''}>${r === SKIP_LEVEL_MANAGER ? 'SKIP-LEVEL MANAGER' : r}</option>`).join('');
   }
 
-  function renderStepsEditor(stepsOverride) {
-    const listEl = $('#steps-list'); if (!listEl) return;
-    const steps = Array.isArray(stepsOverride) ? stepsOverride.slice() : (getRules().steps || []).slice();
-    listEl.innerHTML = steps.map((role, idx) =>
+  function stepRowsHtml(steps) {
+    return steps.map((role, idx) =>
       `<div class="step-row" data-index="${idx}">
         <span class="chip">Step ${idx + 1}</span>
         <select class="step-role-select">${stepsEditorRolesOptions(role)}</select>
@@ -856,16 +4135,39 @@ renderUsersView();
         <button type="button" class="icon-btn btn-del" title="Remove"><i class="fa-solid fa-trash"></i></button>
       </div>`
     ).join('');
+  }
+
+  function renderStepsEditor(stepsOverride) {
+    const listEl = $('#steps-list'); if (!listEl) return;
+    const steps = Array.isArray(stepsOverride) ? stepsOverride.slice() : (getRules().steps || []).slice();
+    listEl.innerHTML = stepRowsHtml(steps);
 
     // Populate add-step role picker
     const addSel = $('#add-step-role'); if (addSel) { addSel.innerHTML = stepsEditorRolesOptions(getAllRoles()[0]); }
   }
 
-  function getStepsFromEditor() {
-    const listEl = $('#steps-list'); if (!listEl) return (getRules().steps || []).slice();
+  function getStepsFromEditor(listEl = $('#steps-list')) {
+    if (!listEl) return (getRules().steps || []).slice();
     return $$('.step-row .step-role-select', listEl).map(sel => sel.value).filter(Boolean);
   }
 
+  // Up/down/remove on a list of .step-row elements; `rerender` receives the new role list
+  function handleStepRowClick(e, listEl, rerender) {
+    const row = e.target.closest('.step-row'); if (!row) return;
+    const rows = Array.from(listEl.querySelectorAll('.step-row'));
+    const idx = rows.indexOf(row);
+    let steps = getStepsFromEditor(listEl);
+    if (e.target.closest('.btn-up')) {
+      if (idx > 0) { const tmp = steps[idx - 1]; steps[idx - 1] = steps[idx]; steps[idx] = tmp; rerender(steps); }
+    }
+    if (e.target.closest('.btn-down')) {
+      if (idx < steps.length - 1) { const tmp = steps[idx + 1]; steps[idx + 1] = steps[idx]; steps[idx] = tmp; rerender(steps); }
+    }
+    if (e.target.closest('.btn-del')) {
+      steps.splice(idx, 1); rerender(steps);
+    }
+  }
+
   function bindStepsEditor() {
     const listEl = $('#steps-list'); if (!listEl) return;
     const addBtn = $('#add-step-btn'); const addSel = $('#add-step-role');
@@ -876,21 +4178,7 @@ renderUsersView();
       cur.push(role);
       renderStepsEditor(cur);
     });
-    on(listEl, 'click', (e) => {
-      const row = e.target.closest('.step-row'); if (!row) return;
-      const rows = Array.from(listEl.querySelectorAll('.step-row'));
-      const idx = rows.indexOf(row);
-      let steps = getStepsFromEditor();
-      if (e.target.closest('.btn-up')) {
-        if (idx > 0) { const tmp = steps[idx - 1]; steps[idx - 1] = steps[idx]; steps[idx] = tmp; renderStepsEditor(steps); }
-      }
-      if (e.target.closest('.btn-down')) {
-        if (idx < steps.length - 1) { const tmp = steps[idx + 1]; steps[idx + 1] = steps[idx]; steps[idx] = tmp; renderStepsEditor(steps); }
-      }
-      if (e.target.closest('.btn-del')) {
-        steps.splice(idx, 1); renderStepsEditor(steps);
-      }
-    });
+    on(listEl, 'click', (e) => handleStepRowClick(e, listEl, renderStepsEditor));
     on(listEl, 'change', (e) => {
       if (e.target.classList.contains('step-role-select')) {
         // No immediate persistence; reflect in DOM only
@@ -898,11 +4186,343 @@ renderUsersView();
     });
   }
 
+  // ==========================
+  // SLA Editor (Rules)
+  // ==========================
+  const slaRoles = () => [...getAllRoles().filter(r => r !== ROLES.EMPLOYEE && r !== ROLES.ADMIN), SKIP_LEVEL_MANAGER];
+
+  function renderSlaEditor() {
+    const cfg = slaConfig();
+    $('#sla-enabled').checked = !!cfg.enabled;
+    $('#sla-due').value = cfg.dueHours;
+    $('#sla-escalate').value = cfg.escalateHours;
+    $('#sla-escalate-to').value = cfg.escalateTo;
+    $('#sla-fallback-role').innerHTML = getAllRoles().map(r => `<option value="${r}">${r}</option>`).join('');
+    $('#sla-fallback-role').value = cfg.fallbackRole;
+    $('#sla-steps').innerHTML = slaRoles().map(role => {
+      const own = cfg.steps?.[role] || {};
+      return `<div class="step-row" data-role="${role}">
+        <span class="chip">${role}</span>
+        <span class="spacer"></span>
+        <label class="muted small">Due after (h) <input class="sla-step-due" type="number" min="1" placeholder="${cfg.dueHours}" value="${own.dueHours ?? ''}" /></label>
+        <label class="muted small">Escalate after (h) <input class="sla-step-escalate" type="number" min="1" placeholder="${cfg.escalateHours}" value="${own.escalateHours ?? ''}" /></label>
+      </div>`;
+    }).join('');
+  }
+
+  function renderPolicyEditor() {
+    const p = getPolicy(); const ccy = getCompany()?.currencyCode || '';
+    const actionSel = (code) => `<select class="policy-action"><option value="WARN" ${p[code].action !== 'BLOCK' ? 'selected' : ''}>Warn</option><option value="BLOCK" ${p[code].action === 'BLOCK' ? 'selected' : ''}>Block</option></select>`;
+    const row = (code, label, param = '') => `<div class="step-row" data-code="${code}">
+        <label class="switch"><input type="checkbox" class="policy-enabled" ${p[code].enabled ? 'checked' : ''} /><span>${label}</span></label>
+        <span class="spacer"></span>${param}${actionSel(code)}
+      </div>`;
+    $('#policy-checks').innerHTML = [
+      row('categoryLimit', `Per-person daily caps by category (${ccy})`),
+      row('receiptAge', 'Maximum receipt age', `<label class="muted small">Days <input class="policy-param" data-field="days" type="number" min="1" value="${p.receiptAge.days}" /></label>`),
+      row('receiptRequired', 'Receipt required above an amount', `<label class="muted small">Amount (${ccy}) <input class="policy-param" data-field="above" type="number" min="0" step="0.01" value="${p.receiptRequired.above}" /></label>`),
+      row('futureDate', 'No future-dated expenses'),
+      row('weekend', 'No weekend expenses'),
+    ].join('');
+    $('#policy-limits').innerHTML = activeCategories().map(c => `<label class="muted small">${c.name} <input class="policy-limit" data-category="${c.id}" type="number" min="0" step="0.01" placeholder="No cap" value="${p.categoryLimit.limits?.[c.id] ?? ''}" /></label>`).join('');
+  }
+
+  function readPolicyEditor() {
+    const p = getPolicy();
+    $$('#policy-checks .step-row').forEach(row => {
+      const check = p[row.dataset.code];
+      check.enabled = $('.policy-enabled', row).checked;
+      check.action = $('.policy-action', row).value === 'BLOCK' ? 'BLOCK' : 'WARN';
+      $$('.policy-param', row).forEach(inp => { check[inp.dataset.field] = Math.max(0, parseFloat(inp.value) || 0); });
+    });
+    // Caps on archived categories are not shown but are kept in case the category is restored
+    const shown = $$('#policy-limits .policy-limit');
+    const hidden = Object.entries(p.categoryLimit.limits || {}).filter(([id]) => !shown.some(inp => inp.dataset.category === id));
+    p.categoryLimit.limits = Object.fromEntries([...hidden, ...shown.filter(inp => parseFloat(inp.value) > 0).map(inp => [inp.dataset.category, parseFloat(inp.value)])]);
+    return p;
+  }
+
+  function readSlaEditor() {
+    const num = (v) => v === '' ? undefined : Math.max(1, parseInt(v, 10));
+    const steps = {};
+    $$('#sla-steps .step-row').forEach(row => {
+      const dueHours = num($('.sla-step-due', row).value), escalateHours = num($('.sla-step-escalate', row).value);
+      if (dueHours || escalateHours) steps[row.dataset.role] = { ...(dueHours ? { dueHours } : {}), ...(escalateHours ? { escalateHours } : {}) };
+    });
+    return {
+      enabled: $('#sla-enabled').checked,
+      dueHours: num($('#sla-due').value) || DEFAULT_RULES.sla.dueHours,
+      escalateHours: num($('#sla-escalate').value) || DEFAULT_RULES.sla.escalateHours,
+      escalateTo: $('#sla-escalate-to').value === 'ROLE' ? 'ROLE' : 'APPROVER_MANAGER',
+      fallbackRole: $('#sla-fallback-role').value || ROLES.DIRECTOR,
+      steps,
+    };
+  }
+
+  // ==========================
+  // Conditional Routes Editor (Rules)
+  // ==========================
+  function multiOptions(items, selected) {
+    return items.map(([value, label]) => `<option value="${value}" ${selected.includes(value) ? 'selected' : ''}>${label}</option>`).join('');
+  }
+
+  function routeCardHtml(route, idx) {
+    const w = route.when || {};
+    const managers = getUsers().filter(u => hasRole(u, ROLES.MANAGER));
+    return `<div class="route-card" data-id="${route.id}">
+      <div class="route-head">
+        <span class="chip">Route ${idx + 1}</span>
+        <input class="route-name" type="text" value="${escapeHtml(route.name)}" placeholder="Route name" />
+        <span class="spacer"></span>
+        <button type="button" class="icon-btn btn-route-up" title="Move up"><i class="fa-solid fa-arrow-up"></i></button>
+        <button type="button" class="icon-btn btn-route-down" title="Move down"><i class="fa-solid fa-arrow-down"></i></button>
+        <button type="button" class="icon-btn btn-route-del" title="Remove route"><i class="fa-solid fa-trash"></i></button>
+      </div>
+      <div class="route-conditions">
+        <label>Amount from (≥)<input class="route-min" type="number" min="0" step="0.01" value="${w.minAmount ?? ''}" /></label>
+        <label>Amount under (&lt;)<input class="route-max" type="number" min="0" step="0.01" value="${w.maxAmount ?? ''}" /></label>
+        <label>Categories<select class="route-categories" multiple>${multiOptions(getCategories().filter(c => !c.archived || (w.categories || []).includes(c.id)).map(c => [c.id, c.name]), w.categories || [])}</select></label>
+        <label>Submitter roles<select class="route-roles" multiple>${multiOptions(getAllRoles().map(r => [r, r]), w.submitterRoles || [])}</select></label>
+        <label>Manager<select class="route-managers" multiple>${multiOptions(managers.map(m => [m.id, m.name]), w.managerIds || [])}</select></label>
+      </div>
+      <div class="steps-list route-steps">${stepRowsHtml(route.steps || [])}</div>
+      <div class="inline">
+        <select class="route-add-role">${stepsEditorRolesOptions(getAllRoles()[0])}</select>
+        <button type="button" class="btn btn-ghost btn-route-add-step"><i class="fa-solid fa-plus"></i> Add Step</button>
+      </div>
+    </div>`;
+  }
+
+  function renderRoutesEditor(routesOverride) {
+    const el = $('#routes-list'); if (!el) return;
+    const routes = Array.isArray(routesOverride) ? routesOverride : (getRules().routes || []);
+    el.innerHTML = routes.length ? routes.map(routeCardHtml).join('') : '<p class="muted">No conditional routes. Every expense uses the default steps.</p>';
+    renderRoutePreviewInputs();
+  }
+
+  function getRoutesFromEditor() {
+    const el = $('#routes-list'); if (!el) return (getRules().routes || []).slice();
+    const selected = (card, cls) => $$(`.${cls} option`, card).filter(o => o.selected).map(o => o.value);
+    return $$('.route-card', el).map(card => ({
+      id: card.dataset.id,
+      name: $('.route-name', card).value.trim(),
+      when: {
+        minAmount: $('.route-min', card).value === '' ? '' : +$('.route-min', card).value,
+        maxAmount: $('.route-max', card).value === '' ? '' : +$('.route-max', card).value,
+        categories: selected(card, 'route-categories'),
+        submitterRoles: selected(card, 'route-roles'),
+        managerIds: selected(card, 'route-managers'),
+      },
+      steps: getStepsFromEditor($('.route-steps', card)),
+    }));
+  }
+
+  function validateRoutes(routes) {
+    for (const [i, r] of routes.entries()) {
+      const label = r.name || `Route ${i + 1}`;
+      if (!r.name) return `Route ${i + 1} needs a name`;
+      if (!r.steps.length) return `${label} needs at least one step`;
+      const { minAmount: min, maxAmount: max } = r.when;
+      if (min !== '' && max !== '' && +min >= +max) return `${label}: "amount from" must be below "amount under"`;
+    }
+    return null;
+  }
+
+  function renderRoutePreviewInputs() {
+    const cat = $('#route-preview-category'); const sub = $('#route-preview-submitter'); const ccy = $('#route-preview-currency');
+    if (!cat || !sub) return;
+    const keepCat = cat.value, keepSub = sub.value;
+    cat.innerHTML = categoryOptions();
+    sub.innerHTML = getUsers().map(u => `<option value="${u.id}">${u.name}</option>`).join('');
+    if (keepCat) cat.value = keepCat;
+    if (keepSub) sub.value = keepSub;
+    if (!ccy.value) ccy.value = getCompany()?.currencyCode || 'USD';
+  }
+
+  async function runRoutePreview() {
+    const out = $('#route-preview-result');
+    const amount = parseFloat($('#route-preview-amount').value);
+    if (!Number.isFinite(amount)) { out.textContent = 'Enter a sample amount'; return; }
+    const sample = { amount, currency: ($('#route-preview-currency').value || '').trim().toUpperCase() || getCompany()?.currencyCode, category: $('#route-preview-category').value };
+    const submitter = getUsers().find(u => u.id === $('#route-preview-submitter').value);
+    // Preview against the unsaved editor state so admins can try changes before saving
+    const rules = { ...getRules(), steps: getStepsFromEditor(), routes: getRoutesFromEditor(), budgetRule: { enabled: $('#budget-rule-enabled').checked, role: $('#budget-rule-role').value } };
+    const { route, steps, amountCompany, overBudget, unrated } = await resolveRoute(sample, submitter, rules);
+    const ccy = getCompany()?.currencyCode || sample.currency;
+    out.innerHTML = `${amountCompany === null ? `No ${escapeHtml(unrated.join(', '))} rate; strictest route` : moneyFmt(amountCompany, ccy)} → <strong>${route ? escapeHtml(route.name) : 'Default route'}</strong>${route ? ` <span class="muted">(${describeRouteConditions(route)})</span>` : ''}: ${steps.map(r => `<span class="chip">${r}</span>`).join(' → ')}`
+      + (overBudget.length ? ` <span class="budget-over">(over budget: ${escapeHtml(overBudget.map(budgetImpactLabel).join('; '))})</span>` : '');
+  }
+
+  function bindRoutesEditor() {
+    const el = $('#routes-list'); if (!el) return;
+    const rerenderWith = (mutate) => { const routes = getRoutesFromEditor(); mutate(routes); renderRoutesEditor(routes); };
+    on($('#add-route-btn'), 'click', () => rerenderWith(routes => routes.push({ id: uuid(), name: `Route ${routes.length + 1}`, when: { minAmount: '', maxAmount: '', categories: [], submitterRoles: [], managerIds: [] }, steps: [ROLES.MANAGER] })));
+    on(el, 'click', (e) => {
+      const card = e.target.closest('.route-card'); if (!card) return;
+      const idx = $$('.route-card', el).indexOf(card);
+      if (e.target.closest('.btn-route-del')) return rerenderWith(routes => routes.splice(idx, 1));
+      if (e.target.closest('.btn-route-up')) return rerenderWith(routes => { if (idx > 0) routes.splice(idx - 1, 0, routes.splice(idx, 1)[0]); });
+      if (e.target.closest('.btn-route-down')) return rerenderWith(routes => { if (idx < routes.length - 1) routes.splice(idx + 1, 0, routes.splice(idx, 1)[0]); });
+      if (e.target.closest('.btn-route-add-step')) {
+        const role = $('.route-add-role', card).value;
+        return rerenderWith(routes => routes[idx].steps.push(role));
+      }
+      const stepsEl = $('.route-steps', card);
+      if (e.target.closest('.step-row')) handleStepRowClick(e, stepsEl, steps => rerenderWith(routes => { routes[idx].steps = steps; }));
+    });
+    on($('#route-preview-btn'), 'click', runRoutePreview);
+  }
+
   // ===== Roles management =====
   function normalizeRoleName(input) {
     return input.trim().toUpperCase().replace(/\s+/g, '_').replace(/[^A-Z0-9_\-]/g, '');
   }
 
+  // ==========================
+  // Categories (admin)
+  // ==========================
+  function categoryRowHtml(c, idx, used) {
+    return `<div class="step-row category-row ${c.archived ? 'archived' : ''}" data-id="${c.id}" data-index="${idx}">
+      <select class="cat-icon" title="Icon">${CATEGORY_ICONS.map(i => `<option value="${i}" ${i === c.icon ? 'selected' : ''}>${i.replace('fa-', '')}</option>`).join('')}</select>
+      <i class="fa-solid ${c.icon || 'fa-receipt'} cat-icon-preview"></i>
+      <input class="cat-name" type="text" value="${escapeHtml(c.name)}" placeholder="Name" />
+      <label class="muted small">GL code <input class="cat-gl" type="text" value="${escapeHtml(c.glCode)}" placeholder="e.g. 6100" /></label>
+      <label class="muted small">Tax % <input class="cat-tax" type="number" min="0" max="100" step="0.01" value="${c.taxRate ?? ''}" placeholder="None" /></label>
+      <span class="spacer"></span>
+      <span class="muted small">${used || 0} expenses</span>
+      <button type="button" class="icon-btn btn-up" title="Move up"><i class="fa-solid fa-arrow-up"></i></button>
+      <button type="button" class="icon-btn btn-down" title="Move down"><i class="fa-solid fa-arrow-down"></i></button>
+      <button type="button" class="btn btn-ghost btn-archive">${c.archived ? 'Restore' : 'Archive'}</button>
+    </div>`;
+  }
+
+  function renderCategoriesEditor(list = getCategories()) {
+    const el = $('#categories-list'); if (!el) return;
+    const usage = getExpenses().reduce((m, e) => (expenseCategories(e).forEach(c => { m[c] = (m[c] || 0) + 1; }), m), {});
+    el.innerHTML = list.map((c, idx) => categoryRowHtml(c, idx, usage[c.id])).join('');
+  }
+
+  function getCategoriesFromEditor() {
+    return $$('#categories-list .category-row').map(row => {
+      const tax = $('.cat-tax', row).value;
+      return { id: row.dataset.id, name: $('.cat-name', row).value.trim(), glCode: $('.cat-gl', row).value.trim(), taxRate: tax === '' ? null : clamp(parseFloat(tax), 0, 100), icon: $('.cat-icon', row).value, archived: row.classList.contains('archived') };
+    });
+  }
+
+  function validateCategories(list) {
+    if (list.some(c => !c.name)) return 'Every category needs a name';
+    if (list.some(c => !c.glCode)) return 'Every category needs a GL account code';
+    const names = list.map(c => c.name.toLowerCase());
+    if (names.some((n, i) => names.indexOf(n) !== i)) return 'Category names must be unique';
+    if (!list.some(c => !c.archived)) return 'Keep at least one active category';
+    return null;
+  }
+
+  // Other screens list categories by name; refresh them after a save
+  function refreshCategorySelects() {
+    ['#exp-category-filter', '#appr-category-filter'].map(sel => $(sel)).filter(Boolean).forEach(filter => {
+      const keep = filter.value; filter.innerHTML = `<option value="">All Categories</option>` + categoryOptions(keep, { all: true }); filter.value = keep;
+    });
+    renderRoutesEditor(); renderRoutePreviewInputs(); renderPolicyEditor();
+  }
+
+  function bindCategoriesEditor() {
+    const el = $('#categories-list'); if (!el) return;
+    const rerenderWith = (mutate) => { const list = getCategoriesFromEditor(); mutate(list); renderCategoriesEditor(list); };
+    on(el, 'click', (e) => {
+      const row = e.target.closest('.category-row'); if (!row) return;
+      const idx = +row.dataset.index;
+      if (e.target.closest('.btn-up') && idx > 0) rerenderWith(list => list.splice(idx - 1, 0, list.splice(idx, 1)[0]));
+      if (e.target.closest('.btn-down')) rerenderWith(list => { if (idx < list.length - 1) list.splice(idx + 1, 0, list.splice(idx, 1)[0]); });
+      if (e.target.closest('.btn-archive')) rerenderWith(list => { list[idx].archived = !list[idx].archived; });
+    });
+    on(el, 'change', (e) => {
+      if (e.target.classList.contains('cat-icon')) e.target.closest('.category-row').querySelector('.cat-icon-preview').className = `fa-solid ${e.target.value} cat-icon-preview`;
+    });
+    on($('#category-add-form'), 'submit', (e) => {
+      e.preventDefault();
+      const name = $('#category-name-input').value.trim();
+      if (!name) { toast('Enter a category name', 'error'); return; }
+      if (getCategoriesFromEditor().some(c => c.name.toLowerCase() === name.toLowerCase())) { toast('Category already exists', 'error'); return; }
+      rerenderWith(list => list.push({ id: uuid(), name, glCode: $('#category-gl-input').value.trim(), taxRate: null, icon: 'fa-receipt', archived: false }));
+      $('#category-name-input').value = ''; $('#category-gl-input').value = '';
+    });
+    on($('#categories-save-btn'), 'click', () => {
+      const list = getCategoriesFromEditor();
+      const err = validateCategories(list);
+      if (err) { toast(err, 'error'); return; }
+      setCategories(list);
+      toast('Categories saved', 'success');
+      renderCategoriesEditor();
+      refreshCategorySelects();
+      const user = currentUser(); if (user) { renderExpensesView(user); renderApprovalsView(user); }
+    });
+  }
+
+  function vehicleRowHtml(v) {
+    return `<div class="step-row vehicle-row" data-id="${v.id}">
+      <input class="vehicle-name" type="text" value="${escapeHtml(v.name)}" placeholder="Vehicle type" />
+      <label class="muted small">Rate per unit <input class="vehicle-rate" type="number" min="0" step="0.01" value="${v.rate}" /></label>
+      <span class="spacer"></span>
+      <button type="button" class="icon-btn btn-del" title="Remove"><i class="fa-solid fa-trash"></i></button>
+    </div>`;
+  }
+
+  function perDiemRowHtml(country, rate) {
+    return `<div class="step-row perdiem-row" data-country="${country}">
+      <span class="chip">${country}</span>
+      <span class="spacer"></span>
+      <label class="muted small">Daily rate <input class="perdiem-rate" type="number" min="0" step="0.01" value="${rate}" /></label>
+      <button type="button" class="icon-btn btn-del" title="Remove"><i class="fa-solid fa-trash"></i></button>
+    </div>`;
+  }
+
+  async function renderAllowancesEditor(cfg = getAllowances()) {
+    if (!$('#allowances-form')) return;
+    $('#mileage-unit').value = cfg.mileage.unit;
+    $('#mileage-vehicles').innerHTML = cfg.mileage.vehicles.map(vehicleRowHtml).join('');
+    $('#perdiem-default').value = cfg.perDiem.defaultRate;
+    $('#perdiem-countries').innerHTML = Object.entries(cfg.perDiem.countries).map(([c, r]) => perDiemRowHtml(c, r)).join('');
+    $('#allowances-ccy').textContent = getCompany()?.currencyCode || '';
+    const countries = Array.from(new Set((await fetchCountries()).map(c => c.country)));
+    $('#perdiem-add-country').innerHTML = countries.map(c => `<option>${c}</option>`).join('');
+  }
+
+  function readAllowancesEditor() {
+    return {
+      mileage: {
+        unit: $('#mileage-unit').value === 'mi' ? 'mi' : 'km',
+        vehicles: $$('#mileage-vehicles .vehicle-row').map(row => ({ id: row.dataset.id, name: $('.vehicle-name', row).value.trim(), rate: parseFloat($('.vehicle-rate', row).value) })),
+      },
+      perDiem: {
+        defaultRate: parseFloat($('#perdiem-default').value),
+        countries: Object.fromEntries($$('#perdiem-countries .perdiem-row').map(row => [row.dataset.country, parseFloat($('.perdiem-rate', row).value)])),
+      },
+    };
+  }
+
+  function bindAllowancesEditor() {
+    const form = $('#allowances-form'); if (!form) return;
+    on(form, 'click', (e) => {
+      const del = e.target.closest('.btn-del'); if (del) { del.closest('.step-row').remove(); return; }
+      if (e.target.closest('#add-vehicle-btn')) $('#mileage-vehicles').insertAdjacentHTML('beforeend', vehicleRowHtml({ id: uuid(), name: '', rate: 0 }));
+      if (e.target.closest('#add-perdiem-btn')) {
+        const country = $('#perdiem-add-country').value;
+        if (!country || $$('#perdiem-countries .perdiem-row').some(r => r.dataset.country === country)) { toast('That country already has a rate', 'error'); return; }
+        $('#perdiem-countries').insertAdjacentHTML('beforeend', perDiemRowHtml(country, $('#perdiem-default').value || 0));
+      }
+    });
+    on(form, 'submit', (e) => {
+      e.preventDefault();
+      const cfg = readAllowancesEditor();
+      if (!cfg.mileage.vehicles.length) { toast('Add at least one vehicle type', 'error'); return; }
+      if (cfg.mileage.vehicles.some(v => !v.name || !(v.rate >= 0))) { toast('Every vehicle type needs a name and a rate', 'error'); return; }
+      if (!(cfg.perDiem.defaultRate >= 0) || Object.values(cfg.perDiem.countries).some(r => !(r >= 0))) { toast('Per-diem rates must be zero or more', 'error'); return; }
+      setAllowances(cfg);
+      toast('Rates saved', 'success');
+    });
+  }
+
   function renderRolesList() {
     const el = $('#roles-list'); if (!el) return;
     const base = BASE_ROLES;
@@ -944,10 +4564,14 @@ renderUsersView();
     // Fix rules if pointing to removed role
     const r = getRules();
     if (r.specificApproverRule?.role === role) { r.specificApproverRule.role = ROLES.CFO; }
+    if (r.budgetRule?.role === role) { r.budgetRule = { ...DEFAULT_RULES.budgetRule }; }
     if (Array.isArray(r.steps)) {
       r.steps = r.steps.filter(x => x !== role);
       if (r.steps.length === 0) { r.steps = [ROLES.MANAGER, ROLES.FINANCE, ROLES.DIRECTOR]; }
     }
+    // Routes left without any step would silently fall through to the default route, so drop them
+    r.routes = (r.routes || []).map(rt => ({ ...rt, steps: (rt.steps || []).filter(x => x !== role), when: { ...rt.when, submitterRoles: (rt.when?.submitterRoles || []).filter(x => x !== role) } }))
+      .filter(rt => rt.steps.length);
     setRules(r);
     toast('Role removed', 'success');
     renderRolesList();
@@ -958,6 +4582,8 @@ renderUsersView();
   }
 
   async function enterApp(user) {
+    runEscalations();
+    await generateRecurringExpenses();
     $('#auth-view').classList.add('hidden');
     $('#main-layout').classList.remove('hidden');
     setHeaderContext(user);
@@ -966,43 +4592,84 @@ renderUsersView();
     await renderDashboard(user);
     await renderExpensesView(user);
     await renderApprovalsView(user);
+    await renderReportsView(user);
     renderUsersView();
+    renderBudgetsView();
+    renderPayablesView();
+    renderCategoriesEditor();
+    renderAllowancesEditor();
+    refreshCategorySelects();
     loadRulesIntoForm();
   }
 
   function bindRulesForm() {
     on($('#rules-form'), 'submit', (e) => {
       e.preventDefault();
-      const r = getRules();
+      // Edited on a copy: the live rules must not change when the form is refused below
+      const r = structuredClone(getRules());
       r.percentageRule.enabled = $('#rule-percentage-enabled').checked;
       r.percentageRule.threshold = clamp(parseInt($('#rule-percentage-threshold').value || '50', 10), 1, 100);
       r.specificApproverRule.enabled = $('#rule-cfo-enabled').checked;
       const sel = $('#rule-cfo-role'); if (sel) { r.specificApproverRule.role = sel.value || r.specificApproverRule.role; }
-      r.hybrid.enabled = $('#rule-hybrid-enabled').checked;
+      r.hybrid = { ...(r.hybrid || {}), enabled: $('#rule-hybrid-enabled').checked, mode: $('#rule-hybrid-mode').value === 'AND' ? 'AND' : 'OR' };
       // Steps from editor
       const steps = getStepsFromEditor();
       if (!steps.length) { toast('Add at least one approval step before saving.', 'error'); return; }
       r.steps = steps;
+      const routes = getRoutesFromEditor();
+      const routeError = validateRoutes(routes);
+      if (routeError) { toast(routeError, 'error'); return; }
+      r.routes = routes;
+      r.sla = readSlaEditor();
+      r.budgetRule = { enabled: $('#budget-rule-enabled').checked, role: $('#budget-rule-role').value || DEFAULT_RULES.budgetRule.role };
+      if (r.sla.escalateHours < r.sla.dueHours || Object.values(r.sla.steps).some(x => x.escalateHours && x.escalateHours < (x.dueHours || r.sla.dueHours))) {
+        toast('Escalation must come after the step is overdue', 'error'); return;
+      }
       setRules(r); toast('Rules updated', 'success');
     });
   }
 
-  function bindLogout() { on($('#logout-btn'), 'click', () => { logout(); location.reload(); }); }
+  function bindPolicyForm() {
+    on($('#policy-form'), 'submit', (e) => {
+      e.preventDefault();
+      const p = readPolicyEditor();
+      if (p.receiptAge.enabled && !(p.receiptAge.days >= 1)) { toast('Maximum receipt age must be at least one day', 'error'); return; }
+      setPolicy(p); toast('Expense policy updated', 'success');
+    });
+  }
+
+  function bindLogout() { on($('#logout-btn'), 'click', async () => { logout(); await Storage.flush(); location.reload(); }); }
 
   // ==========================
   // Boot
   // ==========================
   (async function init() {
+    await Storage.init();
+    runMigrations();
     await seedIfNeeded();
+    pruneAttachments();
+    await generateRecurringExpenses();
     bindNavigation();
     bindAuth();
     bindModals();
     bindRulesForm();
+    bindPolicyForm();
+    bindCategoriesEditor();
+    bindAllowancesEditor();
+    bindRecurringEditor();
+    bindAnalyticsFilters();
     bindStepsEditor();
+    bindRoutesEditor();
     bindLogout();
 
     const sessionUser = currentUser();
     if (sessionUser) { enterApp(sessionUser); }
+
+    // Items can cross their escalation threshold while the app stays open
+    setInterval(() => {
+      const user = currentUser();
+      if (runEscalations() && user) { renderApprovalsView(user); renderExpensesView(user); renderDashboard(user); }
+    }, 10 * 60 * 1000);
   })();
 
 })();